@@ -0,0 +1,188 @@
+/**
+ * Musa Studio — Ball Sounds
+ * Web Audio synthesis of ball impacts: pitch and volume follow impact speed and material
+ * Silent unless enabled, and no AudioContext is created before a user gesture
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // Voices
+    // =========================================================================
+    const minImpactSpeed = 1; // Slower contacts are a ball resting, not hitting
+    const maxVoices = 8;
+    const ballCooldown = 0.04; // Seconds between sounds from the same ball
+    const masterVolume = 0.5;
+
+    // Base tone for each kind of surface, in Hz
+    const surfaceTones = {
+        ball: 1100,
+        wall: 180,
+        floor: 120,
+        rect: 420,
+        roundrect: 440,
+        circle: 520,
+        polygon: 380,
+        mask: 660
+    };
+
+    const gestureEvents = ['pointerdown', 'keydown', 'touchend'];
+
+    function supportsAudio() {
+        return !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    // Obstacles without a material sound like the default bounce
+    function getTone(ballObj, surface, material, strength, options) {
+        const restitution = material && typeof material.restitution === 'number'
+            ? material.restitution
+            : surface === 'ball' ? options.ballBounceFactor : options.bounceFactor;
+        const friction = material && typeof material.friction === 'number' ? material.friction : 0;
+        const behavior = material && material.behavior;
+
+        // Bouncier surfaces ring higher and longer; bigger balls sound lower
+        const sizeRatio = options.ballRadius / (ballObj.radius || options.ballRadius);
+        let frequency = (surfaceTones[surface] || 400) * (0.7 + restitution * 0.6) * sizeRatio * (1 + strength * 0.3);
+        let decay = 0.05 + restitution * 0.15;
+        let drop = 0.9; // Share of the pitch left at the end of the note
+
+        if (behavior === 'sticky') {
+            frequency *= 0.5;
+            decay = 0.04;
+        } else if (behavior === 'absorb') {
+            frequency *= 0.4;
+            decay = 0.25;
+            drop = 0.5;
+        }
+
+        return {
+            frequency,
+            decay,
+            drop,
+            // Rough surfaces take the edge off the attack
+            brightness: 800 + 6000 * (1 - friction) * (0.3 + strength * 0.7)
+        };
+    }
+
+    // =========================================================================
+    // Ball Audio - listens to engine events, like a renderer
+    // =========================================================================
+    function createBallAudio(engine, { enabled = false } = {}) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const lastSound = new WeakMap();
+        const unsubscribers = [];
+        let context = null;
+        let master = null;
+        let on = !!enabled;
+        let unlocked = false;
+        let voices = 0;
+
+        function ensureContext() {
+            if (!context) {
+                context = new AudioContextClass();
+                master = context.createGain();
+                master.gain.value = masterVolume;
+                master.connect(context.destination);
+            }
+            if (context.state === 'suspended') context.resume();
+        }
+
+        // Browsers only let audio start from a gesture, so wait for the first one
+        function unlock() {
+            unlocked = true;
+            gestureEvents.forEach(type => window.removeEventListener(type, unlock, true));
+            if (on) ensureContext();
+        }
+
+        gestureEvents.forEach(type => window.addEventListener(type, unlock, true));
+
+        function play(ballObj, speed, surface, material) {
+            if (!on || !context || context.state !== 'running') return;
+            if (!(speed >= minImpactSpeed) || voices >= maxVoices) return;
+
+            const now = context.currentTime;
+            if (now - (lastSound.get(ballObj) || -Infinity) < ballCooldown) return;
+            lastSound.set(ballObj, now);
+
+            const options = engine.options;
+            const strength = Math.min(speed / options.maxVelocity, 1);
+            const tone = getTone(ballObj, surface, material, strength, options);
+            const volume = Math.pow(strength, 0.7);
+
+            const oscillator = context.createOscillator();
+            oscillator.type = surface === 'ball' ? 'sine' : 'triangle';
+            oscillator.frequency.setValueAtTime(tone.frequency, now);
+            oscillator.frequency.exponentialRampToValueAtTime(tone.frequency * tone.drop, now + tone.decay);
+
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = tone.brightness;
+
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(0.0001, now);
+            gain.gain.linearRampToValueAtTime(volume, now + 0.003);
+            gain.gain.exponentialRampToValueAtTime(0.0001, now + tone.decay);
+
+            oscillator.connect(filter);
+            filter.connect(gain);
+            gain.connect(master);
+
+            voices++;
+            oscillator.onended = () => {
+                voices--;
+                oscillator.disconnect();
+                filter.disconnect();
+                gain.disconnect();
+            };
+            oscillator.start(now);
+            oscillator.stop(now + tone.decay + 0.02);
+        }
+
+        unsubscribers.push(engine.on('obstacle-hit', ({ ball, obstacle, speed }) => {
+            play(ball, speed, obstacle.type, obstacle.material);
+        }));
+
+        unsubscribers.push(engine.on('collision', ({ a, speed }) => {
+            play(a, speed, 'ball', null);
+        }));
+
+        unsubscribers.push(engine.on('wall-hit', ({ ball, wall, speed }) => {
+            play(ball, speed, wall === 'floor' ? 'floor' : 'wall', null);
+        }));
+
+        function setEnabled(value) {
+            on = !!value;
+            if (!context) {
+                if (on && unlocked) ensureContext();
+                return;
+            }
+            if (on) {
+                context.resume();
+            } else {
+                context.suspend();
+            }
+        }
+
+        function destroy() {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            gestureEvents.forEach(type => window.removeEventListener(type, unlock, true));
+            if (context) context.close();
+            context = null;
+        }
+
+        return {
+            setEnabled,
+            destroy,
+            get enabled() {
+                return on;
+            }
+        };
+    }
+
+    window.BallAudio = {
+        createBallAudio,
+        supportsAudio
+    };
+
+})();
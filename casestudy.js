@@ -0,0 +1,239 @@
+/**
+ * Project Pages — Case Study Scenes
+ * Builds the six-scene scroll sequence (intro → identity → ui → flow →
+ * marketing → closing) from a page's structured content; project.js,
+ * loaded after this file, animates it; markup.js must be loaded first
+ *
+ * catalogue.js passes each project's caseStudy content to CaseStudy.render;
+ * a page can also carry its own, which replaces the [data-case-study] element:
+ *   <script type="application/json" data-case-study-content>{ "device": "phone", ... }</script>
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // Markup Helpers
+    // =========================================================================
+    const { createElement, append, createText } = window.Markup;
+
+    function createImage(image, className) {
+        if (!image || !image.src) return null;
+        return createElement('img', className, { src: image.src, alt: image.alt || '', loading: 'lazy' });
+    }
+
+    // Placeholder blocks for mock interfaces
+    function createBlocks(count, className) {
+        return Array.from({ length: count }, () => createElement('div', className));
+    }
+
+    // The frame class gives a device its look; the role class gives its scene animation
+    const deviceFrames = {
+        phone: 'phone-frame',
+        tv: 'tv-frame',
+        laptop: 'laptop-frame'
+    };
+
+    function createDevice(content, role) {
+        const device = deviceFrames[content.device] ? content.device : 'phone';
+        const roleClass = role ? ` ${role}-${device}` : '';
+        return createElement('div', deviceFrames[device] + roleClass);
+    }
+
+    function createScene(type, ...children) {
+        const scene = createElement('section', type === 'closing' ? 'project-scene scene-closing' : 'project-scene', {
+            'data-scene': type
+        });
+        return append(scene, append(createElement('div', 'scene-sticky'), ...children));
+    }
+
+    function createSceneText(text, className = 'scene-text', logo = null) {
+        if (!text) return null;
+        return append(createElement('div', className), createImage(logo, 'project-logo'), createText('p', null, text));
+    }
+
+    // =========================================================================
+    // Scenes
+    // =========================================================================
+
+    // Scene 01 — Introduction: the product on its device
+    function buildIntro(content, scene) {
+        const device = append(createDevice(content), createImage(content.screen, 'device-screen'));
+        return createScene('intro',
+            append(createElement('div', 'device-container'), device),
+            createSceneText(scene.text, 'scene-text', content.logo)
+        );
+    }
+
+    // Scene 02 — Identity: up to three layers of brand material
+    const identityLayers = {
+        color: layer => createElement('div', 'color-card', { style: `background: ${layer.color}` }),
+        type: layer => append(createElement('div', 'typography-sample'),
+            createText('span', 'type-display', layer.display),
+            createText('span', 'type-label', layer.label)
+        ),
+        hierarchy: layer => append(createElement('div', 'typography-hierarchy'),
+            ...layer.levels.map(level => {
+                const element = createText('span', 'type-level', level.text);
+                element.style.fontSize = level.size;
+                return element;
+            })
+        ),
+        palette: layer => append(createElement('div', 'color-system'),
+            ...layer.colors.map(color => createElement('div', 'color-swatch', { style: `background: ${color}` }))
+        ),
+        components: layer => append(createElement('div', 'component-grid'),
+            ...createBlocks(layer.count || 6, 'ui-component')
+        )
+    };
+
+    function buildIdentity(content, scene) {
+        const grid = createElement('div', 'identity-grid');
+        (scene.layers || []).slice(0, 3).forEach((layer, index) => {
+            const build = identityLayers[layer.kind];
+            if (!build) return;
+            grid.appendChild(append(
+                createElement('div', 'identity-layer', { 'data-layer': index + 1 }),
+                build(layer)
+            ));
+        });
+        return createScene('identity', grid, createSceneText(scene.text));
+    }
+
+    // Scene 03 — UI: stacked app screens, a remote-driven menu or dashboard cards
+    function buildUi(content, scene) {
+        let showcase;
+        if (scene.screens) {
+            const stack = createElement('div', 'screen-stack');
+            scene.screens.slice(0, 3).forEach((screen, index) => {
+                stack.appendChild(append(
+                    createElement('div', 'app-screen', { 'data-screen': index + 1 }),
+                    createImage(screen)
+                ));
+            });
+            showcase = append(createElement('div', 'ui-showcase'), stack);
+        } else if (scene.choices) {
+            showcase = append(createElement('div', 'tv-nav-demo'),
+                createElement('div', 'focus-ring'),
+                ...scene.choices.map(choice => append(
+                    createElement('div', 'choice-button', { 'data-choice': choice.letter.toLowerCase() }),
+                    createText('span', 'choice-letter', choice.letter),
+                    createText('span', 'choice-text', choice.text)
+                ))
+            );
+        } else {
+            showcase = append(createElement('div', 'dashboard-preview'),
+                ...Array.from({ length: scene.cards || 3 }, (_, index) => append(
+                    createElement('div', 'dashboard-card', { 'data-card': index + 1 }),
+                    createElement('div', 'card-header'),
+                    createElement('div', 'card-content')
+                ))
+            );
+        }
+        return createScene('ui', showcase, createSceneText(scene.text));
+    }
+
+    // Scene 04 — Flow: the product in use, on its device
+    function buildFlowContent(scene) {
+        if (scene.balance) {
+            return append(createElement('div', 'flow-content'),
+                append(createElement('div', 'balance-display'),
+                    createText('span', 'balance-label', scene.balance.label),
+                    createText('span', 'balance-amount', scene.balance.amount)
+                ),
+                append(createElement('div', 'card-grid'), ...createBlocks(scene.cards || 3, 'mini-card'))
+            );
+        }
+        if (scene.question) {
+            return append(createElement('div', 'game-content'),
+                append(createElement('div', 'question-display'), createText('span', 'question-text', scene.question)),
+                append(createElement('div', 'choices-animate'),
+                    ...(scene.choices || []).map(choice => createText('div', 'choice-card', choice))
+                ),
+                append(createElement('div', 'score-bar'), createElement('div', 'score-progress'))
+            );
+        }
+        return append(createElement('div', 'website-scroll'),
+            ...Array.from({ length: scene.sections || 4 }, () => append(
+                createElement('div', 'page-section'),
+                createElement('div', 'section-content')
+            ))
+        );
+    }
+
+    function buildFlow(content, scene) {
+        const device = append(createDevice(content, 'flow'), buildFlowContent(scene));
+        return createScene('flow',
+            append(createElement('div', 'flow-container'), device),
+            createSceneText(scene.text)
+        );
+    }
+
+    // Scene 05 — Marketing: store artwork, screenshots or a gallery
+    function buildMarketing(content, scene) {
+        const assets = scene.assets || [];
+        const grid = createElement('div', assets.length > 3 ? 'marketing-grid gallery-grid' : 'marketing-grid');
+        assets.forEach((asset, index) => {
+            grid.appendChild(append(
+                createElement('div', 'marketing-asset', { 'data-asset': index + 1 }),
+                createImage(asset)
+            ));
+        });
+        return createScene('marketing', grid, createSceneText(scene.text));
+    }
+
+    // Scene 06 — Closing: the device settles back into place
+    function buildClosing(content, scene) {
+        const device = append(createDevice(content, 'closing'), createImage(content.screen, 'device-screen'));
+        return createScene('closing',
+            append(createElement('div', 'closing-container'), device),
+            createSceneText(scene.text, 'scene-text closing-text')
+        );
+    }
+
+    const sceneBuilders = {
+        intro: buildIntro,
+        identity: buildIdentity,
+        ui: buildUi,
+        flow: buildFlow,
+        marketing: buildMarketing,
+        closing: buildClosing
+    };
+
+    const sceneOrder = ['intro', 'identity', 'ui', 'flow', 'marketing', 'closing'];
+
+    // Scenes without content are left out rather than shown empty
+    function renderCaseStudy(content) {
+        const fragment = document.createDocumentFragment();
+        sceneOrder.forEach(type => {
+            if (content[type]) fragment.appendChild(sceneBuilders[type](content, content[type]));
+        });
+        return fragment;
+    }
+
+    // =========================================================================
+    // Page Wiring
+    // =========================================================================
+    function readContent() {
+        const block = document.querySelector('script[type="application/json"][data-case-study-content]');
+        if (!block) return null;
+        try {
+            return JSON.parse(block.textContent);
+        } catch (error) {
+            console.warn('Ignoring invalid case study content', error);
+            return null;
+        }
+    }
+
+    // Without content, or without JavaScript, the page keeps its static showcase
+    const target = document.querySelector('[data-case-study]');
+    const content = readContent();
+    if (target && content) {
+        target.replaceWith(renderCaseStudy(content));
+    }
+
+    window.CaseStudy = {
+        render: renderCaseStudy
+    };
+
+})();
@@ -0,0 +1,226 @@
+/**
+ * Project Catalogue
+ * projects.json is the one source of project data: it is rendered into every
+ * [data-project-grid] work grid and fills the templated project page,
+ * project.html?project=<slug>, prev/next links included
+ * Rendered work items are announced with a 'projects:rendered' document event
+ */
+
+(function() {
+    'use strict';
+
+    const catalogueUrl = 'projects.json';
+
+    let catalogue = null;
+
+    function loadProjects() {
+        if (!catalogue) {
+            catalogue = fetch(catalogueUrl).then(response => {
+                if (!response.ok) throw new Error(`${catalogueUrl} responded ${response.status}`);
+                return response.json();
+            });
+        }
+        return catalogue;
+    }
+
+    function getProjectUrl(project) {
+        return `project.html?project=${encodeURIComponent(project.slug)}`;
+    }
+
+    // Markup helpers come from markup.js, loaded just before this file
+    const { createElement, append, createText } = window.Markup;
+
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            document.body.appendChild(script);
+        });
+    }
+
+    // =========================================================================
+    // Work Grid
+    // =========================================================================
+    function createWorkItem(project) {
+        const image = project.images.card || project.images.cover;
+        const item = createElement('article', project.wide ? 'work-item work-item--wide' : 'work-item', {
+            'data-href': getProjectUrl(project)
+        });
+        return append(item,
+            append(createElement('div', 'work-image'), createElement('img', null, {
+                src: image.src,
+                alt: image.alt,
+                loading: 'lazy',
+                decoding: 'async',
+                width: 800,
+                height: 600
+            })),
+            append(createElement('div', 'work-info'),
+                append(createElement('div', 'work-meta'),
+                    createText('span', 'work-category', project.category),
+                    createText('h3', 'work-title', project.title)
+                ),
+                createText('p', 'work-description', project.description),
+                createText('span', 'work-link', 'View project')
+            )
+        );
+    }
+
+    function renderWorkGrids(projects) {
+        const items = [];
+        document.querySelectorAll('[data-project-grid]').forEach(grid => {
+            const gridItems = projects.map(createWorkItem);
+            grid.replaceChildren(...gridItems);
+            items.push(...gridItems);
+        });
+        if (items.length) {
+            document.dispatchEvent(new CustomEvent('projects:rendered', { detail: { items } }));
+        }
+    }
+
+    // =========================================================================
+    // Project Page
+    // =========================================================================
+    function getField(page, name) {
+        return page.querySelector(`[data-project-field="${name}"]`);
+    }
+
+    function createMetaItem(label, value) {
+        return append(createElement('div', 'project-meta-item'),
+            createText('span', 'meta-label', label),
+            typeof value === 'string' ? createText('span', 'meta-value', value) : append(createElement('span', 'meta-value'), value)
+        );
+    }
+
+    function createMeta(project) {
+        const items = [
+            createMetaItem('Platform', project.platform),
+            createMetaItem('Type', project.type),
+            createMetaItem('Tech Stack', project.techStack.join(', '))
+        ];
+        if (project.website) {
+            items.push(createMetaItem('Website', createText('a', null, project.website.label, {
+                href: project.website.url,
+                target: '_blank',
+                rel: 'noopener'
+            })));
+        }
+        return items;
+    }
+
+    function createContentBlock(heading, ...children) {
+        return append(createElement('div', 'content-block'),
+            createText('h2', 'section-heading', heading, { 'data-ball-obstacle': '' }),
+            ...children
+        );
+    }
+
+    function createBody(body) {
+        return [
+            createContentBlock('Overview', ...body.overview.map(text => createText('p', 'section-text', text))),
+            createContentBlock('Key Contributions', append(createElement('ul', 'project-list'),
+                ...body.contributions.map(text => createText('li', null, text))
+            )),
+            createContentBlock('Outcome', createText('p', 'section-text', body.outcome))
+        ];
+    }
+
+    function createNavLink(project, direction) {
+        return append(createElement('a', `project-nav-link project-nav-${direction}`, { href: getProjectUrl(project) }),
+            createText('span', 'nav-label', direction === 'prev' ? 'Previous Project' : 'Next Project'),
+            createText('span', 'nav-title', project.title)
+        );
+    }
+
+    // The case study scenes share the page's cover and logo, and show its gallery
+    function getCaseStudyContent(project) {
+        const content = Object.assign({ screen: project.images.cover, logo: project.images.logo }, project.caseStudy);
+        if (content.marketing && !content.marketing.assets) {
+            content.marketing = Object.assign({ assets: project.gallery || [] }, content.marketing);
+        }
+        return content;
+    }
+
+    // casestudy.js builds the scenes, then project.js animates them; both are only
+    // fetched for projects that have a case study
+    function renderCaseStudy(page, project) {
+        const target = page.querySelector('[data-case-study]');
+        if (!target || !project.caseStudy) return;
+
+        loadScript('casestudy.js')
+            .then(() => {
+                target.replaceWith(CaseStudy.render(getCaseStudyContent(project)));
+                return loadScript('project.js');
+            })
+            .catch(error => console.warn('Case study unavailable', error));
+    }
+
+    // Keep the hero, drop everything that needs a project
+    function renderMissingProject(page, title, message) {
+        document.title = `${title} | Musa Studio`;
+        getField(page, 'category').textContent = 'Work';
+        getField(page, 'title').textContent = title;
+        getField(page, 'description').textContent = message;
+        page.querySelectorAll('[data-project-optional]').forEach(section => section.remove());
+    }
+
+    function renderProjectPage(page, projects) {
+        const slug = new URLSearchParams(window.location.search).get('project');
+        const index = projects.findIndex(project => project.slug === slug);
+        if (index === -1) {
+            renderMissingProject(page, 'Project not found', slug
+                ? `There is no project called "${slug}". Take a look at the rest of our work instead.`
+                : 'Pick a project from our work to see it here.');
+            return;
+        }
+
+        const project = projects[index];
+        document.title = `${project.title} — ${project.label} | Musa Studio`;
+        const description = document.querySelector('meta[name="description"]');
+        if (description) description.content = `${project.title} — ${project.summary}`;
+
+        getField(page, 'category').textContent = project.category;
+        getField(page, 'title').textContent = project.title;
+        getField(page, 'description').textContent = project.description;
+        getField(page, 'meta').replaceChildren(...createMeta(project));
+
+        const cover = getField(page, 'cover');
+        cover.src = project.images.cover.src;
+        cover.alt = project.images.cover.alt;
+
+        getField(page, 'body').replaceChildren(...createBody(project.body));
+
+        // Prev/next follow the catalogue order and wrap around at either end
+        const previous = projects[(index - 1 + projects.length) % projects.length];
+        const next = projects[(index + 1) % projects.length];
+        getField(page, 'navigation').replaceChildren(createNavLink(previous, 'prev'), createNavLink(next, 'next'));
+
+        renderCaseStudy(page, project);
+    }
+
+    // =========================================================================
+    // Initialize
+    // =========================================================================
+    const projectPage = document.querySelector('[data-project-page]');
+    if (projectPage || document.querySelector('[data-project-grid]')) {
+        loadProjects()
+            .then(projects => {
+                renderWorkGrids(projects);
+                if (projectPage) renderProjectPage(projectPage, projects);
+            })
+            .catch(error => {
+                console.warn('Could not load the project catalogue', error);
+                if (projectPage) {
+                    renderMissingProject(projectPage, 'Project unavailable', 'This project could not be loaded. Please try again in a moment.');
+                }
+            });
+    }
+
+    window.ProjectCatalogue = {
+        load: loadProjects,
+        getProjectUrl
+    };
+
+})();
@@ -0,0 +1,446 @@
+/**
+ * Musa Studio — Ball Physics Debug Overlay
+ * Loaded by main.js only when the page is opened with ?debug
+ * Draws what the engine sees and tunes it live; Shift+D hides it
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // Tunables - every slider maps onto an engine option or an obstacle inset
+    // =========================================================================
+    const optionSliders = [
+        { key: 'gravity', min: 0, max: 2, step: 0.05 },
+        { key: 'airResistance', min: 0.9, max: 1, step: 0.001 },
+        { key: 'bounceFactor', min: 0, max: 1, step: 0.05 },
+        { key: 'ballBounceFactor', min: 0, max: 1, step: 0.05 },
+        { key: 'ballRadius', min: 4, max: 40, step: 1 },
+        { key: 'maxVelocity', min: 5, max: 80, step: 1 },
+        { key: 'stopVelocity', min: 0, max: 1, step: 0.01 },
+        { key: 'magneticRadius', min: 0, max: 400, step: 10 },
+        { key: 'magneticStrength', min: 0, max: 1.5, step: 0.05 },
+        { key: 'subSteps', min: 1, max: 8, step: 1 },
+        { key: 'solverIterations', min: 1, max: 12, step: 1 },
+        { key: 'ballFriction', min: 0, max: 1, step: 0.05 },
+        { key: 'surfaceFriction', min: 0, max: 1, step: 0.05 },
+        { key: 'sleepDelay', min: 100, max: 3000, step: 100 }
+    ];
+
+    const insetSliders = [
+        { key: 'max', label: 'inset max', min: 0, max: 30, step: 1 },
+        { key: 'x', label: 'inset x', min: 0, max: 0.3, step: 0.01 },
+        { key: 'y', label: 'inset y', min: 0, max: 0.3, step: 0.01 }
+    ];
+
+    const colors = {
+        obstacle: 'rgba(74, 222, 128, 0.8)',
+        material: 'rgba(250, 204, 21, 0.9)',
+        field: 'rgba(129, 140, 248, 0.7)',
+        maskInside: [99, 102, 241, 90],
+        maskBand: [250, 250, 250, 40],
+        ball: 'rgba(250, 250, 250, 0.9)',
+        held: 'rgba(56, 189, 248, 0.9)',
+        stuck: 'rgba(248, 113, 113, 0.9)',
+        sleeping: 'rgba(163, 163, 163, 0.6)',
+        velocity: 'rgba(251, 146, 60, 0.9)',
+        normal: 'rgba(244, 114, 182, 1)'
+    };
+
+    const contactLifetime = 500; // ms a contact normal stays on screen
+    const maxContacts = 64;
+    const environmentRefresh = 250; // ms between obstacle and stats refreshes
+    const velocityScale = 4; // px of arrow per unit of velocity
+    const normalLength = 18;
+
+    const styles = `
+        .ball-debug-canvas {
+            position: fixed;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            pointer-events: none;
+            z-index: 10002;
+        }
+        .ball-debug-panel {
+            position: fixed;
+            top: 1rem;
+            right: 1rem;
+            z-index: 10003;
+            width: 260px;
+            max-height: calc(100vh - 2rem);
+            overflow: auto;
+            padding: 0.75rem;
+            font: 11px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+            color: #e4e4e7;
+            background: rgba(10, 10, 11, 0.88);
+            border: 1px solid #27272a;
+            border-radius: 8px;
+        }
+        .ball-debug-panel[hidden] { display: none; }
+        .ball-debug-panel pre { margin: 0 0 0.5rem; white-space: pre-wrap; }
+        .ball-debug-panel label { display: grid; grid-template-columns: 1fr auto; gap: 0 0.5rem; margin-bottom: 0.35rem; }
+        .ball-debug-panel input[type="range"] { grid-column: 1 / -1; width: 100%; }
+        .ball-debug-panel button { font: inherit; color: inherit; background: #27272a; border: 0; border-radius: 4px; padding: 0.3rem 0.6rem; margin: 0.25rem 0.25rem 0.25rem 0; cursor: pointer; }
+        .ball-debug-panel textarea { width: 100%; height: 8rem; font: inherit; color: inherit; background: #141416; border: 1px solid #27272a; }
+    `;
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // =========================================================================
+    // Mask Fields - the distance field drawn once per mask, then scaled on draw
+    // =========================================================================
+    const maskImages = new WeakMap();
+
+    function getMaskImage(obs, ballRadius) {
+        const field = obs.mask;
+        const cached = maskImages.get(field);
+        if (cached && cached.ballRadius === ballRadius) return cached.canvas;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = field.width;
+        canvas.height = field.height;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(field.width, field.height);
+
+        // Distances are in samples; the band shows where a ball centre makes contact
+        const band = ballRadius / (obs.width / field.width);
+        for (let i = 0; i < field.distance.length; i++) {
+            const distance = field.distance[i];
+            const color = distance < 0 ? colors.maskInside : distance < band ? colors.maskBand : null;
+            if (!color) continue;
+            image.data.set(color, i * 4);
+        }
+        ctx.putImageData(image, 0, 0);
+
+        maskImages.set(field, { canvas, ballRadius });
+        return canvas;
+    }
+
+    // =========================================================================
+    // Overlay
+    // =========================================================================
+    // setOptions is the host's way to change engine options, so its motion policy
+    // keeps what the sliders set instead of resetting it on its next pass
+    function createDebugOverlay({ engine, setOptions, getObstacles, getForceFields, obstacleInsets, onInsetsChange, getMotion }) {
+        const style = document.createElement('style');
+        style.textContent = styles;
+        document.head.appendChild(style);
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'ball-debug-canvas';
+        canvas.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(canvas);
+        const ctx = canvas.getContext('2d');
+
+        const panel = document.createElement('div');
+        panel.className = 'ball-debug-panel';
+        const stats = document.createElement('pre');
+        panel.appendChild(stats);
+        document.body.appendChild(panel);
+
+        const initialOptions = {};
+        optionSliders.forEach(({ key }) => {
+            initialOptions[key] = engine.options[key];
+        });
+        const initialInsets = Object.assign({}, obstacleInsets);
+        const sliders = [];
+        const contacts = [];
+        let obstacles = [];
+        let fields = [];
+        let lastRefresh = -Infinity;
+        let lastFrame = 0;
+        let fps = 60;
+        let dpr = 1;
+        let frame = null;
+        let visible = true;
+
+        // ---------------------------------------------------------------------
+        // Sliders
+        // ---------------------------------------------------------------------
+        function addSlider({ key, label, min, max, step }, read, write) {
+            const row = document.createElement('label');
+            const name = document.createElement('span');
+            const output = document.createElement('output');
+            const input = document.createElement('input');
+            name.textContent = label || key;
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.step = step;
+
+            function sync() {
+                input.value = read();
+                output.textContent = round(read());
+            }
+
+            input.addEventListener('input', () => {
+                write(Number(input.value));
+                output.textContent = round(Number(input.value));
+            });
+
+            row.appendChild(name);
+            row.appendChild(output);
+            row.appendChild(input);
+            panel.appendChild(row);
+            sync();
+            sliders.push(sync);
+        }
+
+        optionSliders.forEach((spec) => {
+            addSlider(spec, () => engine.options[spec.key], (value) => {
+                setOptions({ [spec.key]: value });
+            });
+        });
+
+        insetSliders.forEach((spec) => {
+            addSlider(spec, () => obstacleInsets[spec.key], (value) => {
+                obstacleInsets[spec.key] = value;
+                onInsetsChange();
+                lastRefresh = -Infinity;
+            });
+        });
+
+        function getSettings() {
+            const options = {};
+            optionSliders.forEach(({ key }) => {
+                options[key] = engine.options[key];
+            });
+            return { options, obstacleInsets: Object.assign({}, obstacleInsets) };
+        }
+
+        const exportButton = document.createElement('button');
+        exportButton.type = 'button';
+        exportButton.textContent = 'Export JSON';
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = 'Reset';
+        const output = document.createElement('textarea');
+        output.readOnly = true;
+        output.hidden = true;
+        output.setAttribute('aria-label', 'Exported physics settings');
+        panel.appendChild(exportButton);
+        panel.appendChild(resetButton);
+        panel.appendChild(output);
+
+        exportButton.addEventListener('click', () => {
+            const json = JSON.stringify(getSettings(), null, 2);
+            output.hidden = false;
+            output.value = json;
+            output.select();
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(json).catch(() => {});
+            }
+        });
+
+        resetButton.addEventListener('click', () => {
+            setOptions(Object.assign({}, initialOptions));
+            Object.assign(obstacleInsets, initialInsets);
+            onInsetsChange();
+            lastRefresh = -Infinity;
+            sliders.forEach(sync => sync());
+        });
+
+        // ---------------------------------------------------------------------
+        // Contacts - where balls touched something, and which way it pushed back
+        // ---------------------------------------------------------------------
+        function addContact(x, y, nx, ny) {
+            contacts.push({ x, y, nx, ny, time: performance.now() });
+            if (contacts.length > maxContacts) contacts.shift();
+        }
+
+        const unsubscribers = [
+            engine.on('obstacle-hit', ({ ball, nx, ny }) => {
+                const radius = ball.radius || engine.options.ballRadius;
+                addContact(ball.x - nx * radius, ball.y - ny * radius, nx, ny);
+            }),
+            engine.on('collision', ({ a, nx, ny }) => {
+                const radius = a.radius || engine.options.ballRadius;
+                addContact(a.x + nx * radius, a.y + ny * radius, nx, ny);
+            })
+        ];
+
+        // ---------------------------------------------------------------------
+        // Drawing - everything in the engine's own coordinates
+        // ---------------------------------------------------------------------
+        function resize() {
+            dpr = Math.min(window.devicePixelRatio || 1, 2);
+            canvas.width = Math.round(window.innerWidth * dpr);
+            canvas.height = Math.round(window.innerHeight * dpr);
+        }
+
+        function traceRoundRect(obs) {
+            const radius = Math.min(obs.radius || 0, (obs.right - obs.left) / 2, (obs.bottom - obs.top) / 2);
+            ctx.moveTo(obs.left + radius, obs.top);
+            ctx.arcTo(obs.right, obs.top, obs.right, obs.bottom, radius);
+            ctx.arcTo(obs.right, obs.bottom, obs.left, obs.bottom, radius);
+            ctx.arcTo(obs.left, obs.bottom, obs.left, obs.top, radius);
+            ctx.arcTo(obs.left, obs.top, obs.right, obs.top, radius);
+            ctx.closePath();
+        }
+
+        function drawObstacle(obs) {
+            if (obs.type === 'mask') {
+                ctx.drawImage(getMaskImage(obs, engine.options.ballRadius), obs.left, obs.top, obs.width, obs.height);
+            }
+
+            ctx.strokeStyle = obs.material ? colors.material : colors.obstacle;
+            ctx.beginPath();
+            if (obs.type === 'circle') {
+                ctx.arc(obs.cx, obs.cy, obs.radius, 0, Math.PI * 2);
+            } else if (obs.type === 'roundrect') {
+                traceRoundRect(obs);
+            } else if (obs.type === 'polygon') {
+                obs.points.forEach(([x, y], index) => {
+                    if (index === 0) ctx.moveTo(x, y);
+                    else ctx.lineTo(x, y);
+                });
+                ctx.closePath();
+            } else {
+                ctx.rect(obs.left, obs.top, obs.right - obs.left, obs.bottom - obs.top);
+            }
+            ctx.stroke();
+
+            if (obs.material && obs.material.behavior) {
+                ctx.fillStyle = colors.material;
+                ctx.fillText(obs.material.behavior, obs.left + 2, obs.top - 4);
+            }
+        }
+
+        function drawField(field) {
+            ctx.strokeStyle = colors.field;
+            ctx.fillStyle = colors.field;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            if (field.type === 'wind') {
+                ctx.rect(field.left, field.top, field.right - field.left, field.bottom - field.top);
+            } else {
+                ctx.arc(field.x, field.y, field.radius, 0, Math.PI * 2);
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const x = field.type === 'wind' ? field.left + 4 : field.x + 4;
+            const y = field.type === 'wind' ? field.top + 12 : field.y - 4;
+            ctx.fillText(`${field.type} ${round(field.strength)}`, x, y);
+        }
+
+        function drawArrow(x, y, dx, dy) {
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + dx, y + dy);
+            ctx.stroke();
+        }
+
+        function drawBall(ball) {
+            const radius = ball.radius || engine.options.ballRadius;
+            ctx.strokeStyle = ball.held ? colors.held : ball.stuck ? colors.stuck :
+                ball.sleeping ? colors.sleeping : colors.ball;
+            ctx.beginPath();
+            ctx.arc(ball.x, ball.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.strokeStyle = colors.velocity;
+            drawArrow(ball.x, ball.y, ball.vx * velocityScale, ball.vy * velocityScale);
+        }
+
+        function updateStats() {
+            const balls = engine.balls.filter(ball => ball.active);
+            const motion = getMotion();
+            const flags = Object.keys(motion).filter(key => motion[key]);
+            stats.textContent = [
+                `fps       ${Math.round(fps)}`,
+                `balls     ${balls.length} / ${engine.options.maxBalls}`,
+                `held      ${balls.filter(ball => ball.held).length}  stuck ${balls.filter(ball => ball.stuck).length}` +
+                    `  asleep ${balls.filter(ball => ball.sleeping).length}`,
+                `obstacles ${obstacles.length}  fields ${fields.length}`,
+                `steps     ${engine.stepCount}  t ${Math.round(engine.time)}ms`,
+                `engine    ${engine.paused ? 'paused' : engine.running ? 'running' : 'idle'}`,
+                `motion    ${flags.length ? flags.join(', ') : 'full'}`
+            ].join('\n');
+        }
+
+        function render(now) {
+            frame = requestAnimationFrame(render);
+
+            if (lastFrame) {
+                fps += (1000 / Math.max(now - lastFrame, 1) - fps) * 0.1;
+            }
+            lastFrame = now;
+
+            if (now - lastRefresh > environmentRefresh) {
+                obstacles = getObstacles();
+                fields = getForceFields();
+                lastRefresh = now;
+                updateStats();
+            }
+
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.lineWidth = 1;
+            ctx.font = '10px ui-monospace, monospace';
+
+            obstacles.forEach(drawObstacle);
+            fields.forEach(drawField);
+            engine.balls.forEach((ball) => {
+                if (ball.active) drawBall(ball);
+            });
+
+            ctx.strokeStyle = colors.normal;
+            for (let i = contacts.length - 1; i >= 0; i--) {
+                const contact = contacts[i];
+                const age = now - contact.time;
+                if (age > contactLifetime) {
+                    contacts.splice(i, 1);
+                    continue;
+                }
+                ctx.globalAlpha = 1 - age / contactLifetime;
+                drawArrow(contact.x, contact.y, contact.nx * normalLength, contact.ny * normalLength);
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        function setVisible(value) {
+            visible = value;
+            canvas.hidden = !visible;
+            panel.hidden = !visible;
+            if (visible && frame === null) {
+                lastFrame = 0;
+                frame = requestAnimationFrame(render);
+            } else if (!visible && frame !== null) {
+                cancelAnimationFrame(frame);
+                frame = null;
+            }
+        }
+
+        function onKeyDown(e) {
+            if (e.shiftKey && (e.key === 'D' || e.key === 'd') && !e.target.closest('input, textarea, select')) {
+                setVisible(!visible);
+            }
+        }
+
+        window.addEventListener('resize', resize);
+        window.addEventListener('keydown', onKeyDown);
+        resize();
+        setVisible(true);
+
+        function destroy() {
+            setVisible(false);
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            window.removeEventListener('resize', resize);
+            window.removeEventListener('keydown', onKeyDown);
+            canvas.remove();
+            panel.remove();
+            style.remove();
+        }
+
+        return { getSettings, setVisible, destroy };
+    }
+
+    window.BallDebug = {
+        createDebugOverlay
+    };
+
+})();
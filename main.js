@@ -14,14 +14,49 @@
     let scrollVelocity = 0;
     let scrollMomentum = 0;
     const momentumDecay = 0.92;
+    const maxScrollJolt = 4; // Largest kick a single frame of scrolling can give
 
-    // All scroll-based physics disabled for stable, predictable behavior
+    // <body data-ball-scroll-force="0.1"> tunes the strength, "off" disables it
+    const scrollForceSetting = document.body.dataset.ballScrollForce;
+    const scrollForce = {
+        enabled: scrollForceSetting !== 'off',
+        strength: scrollForceSetting && !isNaN(scrollForceSetting) ? Number(scrollForceSetting) : 0.06
+    };
+
+    // Scrolling feeds the ball simulation: a flick jolts every ball against the scroll
+    // Still no transforms, parallax or blur on the page itself
     function updateScrollPhysics() {
-        // Scroll physics disabled
-        // No transforms, no parallax, no blur effects
+        const scrollY = window.scrollY;
+        scrollVelocity = scrollY - lastScrollY;
+        lastScrollY = scrollY;
+
+        // Momentum carries a flick on for a few frames after the page stops
+        scrollMomentum = scrollMomentum * momentumDecay + scrollVelocity * (1 - momentumDecay);
+
+        if (!scrollForce.enabled || motion.reducedMotion || Math.abs(scrollMomentum) < 0.05) return;
+
+        const jolt = Math.max(-maxScrollJolt, Math.min(maxScrollJolt, -scrollMomentum * scrollForce.strength));
+        ballEngine.impulse(0, jolt);
+    }
+
+    // Only tick while the page is scrolling or momentum is still settling
+    let scrollFrame = null;
+
+    function onScrollFrame() {
+        scrollFrame = null;
+        updateScrollPhysics();
+        if (scrollVelocity !== 0 || Math.abs(scrollMomentum) >= 0.05) {
+            scrollFrame = requestAnimationFrame(onScrollFrame);
+        } else {
+            scrollMomentum = 0;
+        }
     }
 
-    // Scroll tracking disabled
+    window.addEventListener('scroll', () => {
+        if (scrollFrame === null) {
+            scrollFrame = requestAnimationFrame(onScrollFrame);
+        }
+    }, { passive: true });
 
     // =========================================================================
     // Cursor Disturbance Field - Creates force around cursor
@@ -31,12 +66,41 @@
     let targetMouseX = 0;
     let targetMouseY = 0;
     const mouseSmoothing = 0.15;
+    // A mouse always hovers; touch and pen only steer the field while in contact
+    let cursorActive = false;
+    let cursorPointerId = null;
+    let cursorFrame = null;
 
-    window.addEventListener('mousemove', (e) => {
+    window.addEventListener('pointermove', (e) => {
+        if (e.pointerType !== 'mouse' && e.pointerId !== cursorPointerId) return;
         targetMouseX = e.clientX;
         targetMouseY = e.clientY;
+        cursorActive = true;
+        wakeCursor();
+        // Sleeping balls only feel the field again once they are woken
+        if (ballEngine.options.cursorMode !== 'off') {
+            ballEngine.wake(e.clientX, e.clientY, ballEngine.options.magneticRadius);
+        }
+    });
+
+    window.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'mouse' || !e.isPrimary) return;
+        // Jump straight to the finger rather than easing across from the last touch
+        cursorPointerId = e.pointerId;
+        targetMouseX = mouseX = e.clientX;
+        targetMouseY = mouseY = e.clientY;
+        cursorActive = true;
     });
 
+    function endCursorContact(e) {
+        if (e.pointerId !== cursorPointerId) return;
+        cursorPointerId = null;
+        cursorActive = false;
+    }
+
+    window.addEventListener('pointerup', endCursorContact);
+    window.addEventListener('pointercancel', endCursorContact);
+
     function animateMouseDisturbance() {
         mouseX += (targetMouseX - mouseX) * mouseSmoothing;
         mouseY += (targetMouseY - mouseY) * mouseSmoothing;
@@ -44,38 +108,38 @@
         // Disturbance effect disabled to prevent drift
         // Only update mouse position for ball physics
 
-        requestAnimationFrame(animateMouseDisturbance);
+        // Settle on the target, then sleep until the pointer moves again
+        if (Math.abs(targetMouseX - mouseX) > 0.1 || Math.abs(targetMouseY - mouseY) > 0.1) {
+            cursorFrame = requestAnimationFrame(animateMouseDisturbance);
+        } else {
+            mouseX = targetMouseX;
+            mouseY = targetMouseY;
+            cursorFrame = null;
+        }
     }
 
-    animateMouseDisturbance();
+    function wakeCursor() {
+        if (cursorFrame === null) {
+            cursorFrame = requestAnimationFrame(animateMouseDisturbance);
+        }
+    }
 
     // =========================================================================
     // Physics Balls - Enhanced Energy Particle System
     // Balls are physical manifestations of kinetic energy
+    // The simulation itself lives in physics.js; this wires it to the page
     // =========================================================================
     const ballLayer = document.createElement('div');
     ballLayer.className = 'ball-layer';
     document.body.appendChild(ballLayer);
     const ballContainer = ballLayer;
     const hero = document.querySelector('.hero');
-    const balls = [];
-    const maxBalls = 15; // Reduced from 25 for better performance
-
-    const gravity = 0.7;
-    const airResistance = 0.995;
-    const bounceFactor = 0.6;
-    const ballBounceFactor = 0.5;
-    const ballRadius = 12;
-    const stopVelocity = 0.15;
-    const maxVelocity = 35;
-    const magneticRadius = 150; // Cursor magnetic field radius
-    const magneticStrength = 0.3;
-    const maskAlphaThreshold = 10;
-    let lastTime = 0;
-    let lastScrollSpawnTime = 0;
 
     const maskCache = new WeakMap();
+    const maskFieldSize = 384; // Longest side of a mask's distance field, in samples
 
+    // Signed distance field of the image's opaque pixels, built once per image
+    // Drawn downsampled, so large images never have their full pixel buffer read
     function getMaskData(el) {
         if (maskCache.has(el)) {
             return maskCache.get(el);
@@ -85,9 +149,10 @@
             return null;
         }
 
+        const scale = Math.min(1, maskFieldSize / Math.max(el.naturalWidth, el.naturalHeight));
+        const width = Math.max(1, Math.round(el.naturalWidth * scale));
+        const height = Math.max(1, Math.round(el.naturalHeight * scale));
         const canvas = document.createElement('canvas');
-        const width = el.naturalWidth;
-        const height = el.naturalHeight;
         canvas.width = width;
         canvas.height = height;
 
@@ -95,58 +160,309 @@
         ctx.drawImage(el, 0, 0, width, height);
         const data = ctx.getImageData(0, 0, width, height).data;
 
-        const mask = { data, width, height };
+        const mask = BallPhysics.buildDistanceField(data, width, height, ballEngine.options.maskAlphaThreshold);
         maskCache.set(el, mask);
         return mask;
     }
 
-    // Create a new ball element
-    function createBall() {
-        const ball = document.createElement('div');
-        ball.className = 'ball active';
-        ball.setAttribute('aria-hidden', 'true');
-        ballContainer.appendChild(ball);
-        return ball;
+    // =========================================================================
+    // Obstacle Shapes - the data-ball-obstacle value picks the collision outline
+    //   data-ball-obstacle            text box, slightly inset (rect)
+    //   data-ball-obstacle="rounded"  box matching the element's border-radius
+    //   data-ball-obstacle="circle"   largest circle in the box
+    // Alongside data-ball-obstacle, a custom outline can be given:
+    //   data-ball-polygon="50% 0%, 100% 100%, 0% 100%"  clip-path style points
+    //   data-ball-path="M0 0 L40 0 ..."                 SVG path in element pixels
+    // Marked SVG shapes (<path>, <polygon>, <circle>...) follow their own outline
+    // =========================================================================
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const pathSampleSpacing = 8; // px between samples along curved outlines
+    // Text boxes are inset so balls land on the glyphs, not the line box; tunable in ?debug
+    const obstacleInsets = {
+        max: 10, // px
+        x: 0.08, // share of the width
+        y: 0.12 // share of the height
+    };
+    const pathOutlineCache = new Map();
+    const svgOutlineCache = new WeakMap();
+    let pathSampler = null;
+
+    function parseLength(value, size) {
+        const number = parseFloat(value);
+        return value.trim().endsWith('%') ? number / 100 * size : number;
     }
 
-    // Remove old balls if too many
-    function cleanupBalls() {
-        while (balls.length > maxBalls) {
-            const oldBall = balls.shift();
-            if (oldBall.element && oldBall.element.parentNode) {
-                oldBall.element.remove();
-            }
+    function parsePolygon(value, width, height) {
+        return value.split(',')
+            .map((pair) => {
+                const [x = '', y = ''] = pair.trim().split(/\s+/);
+                return [parseLength(x, width), parseLength(y, height)];
+            })
+            .filter(([x, y]) => isFinite(x) && isFinite(y));
+    }
+
+    // Sample an outline into points; lengths need the path to be in the document
+    function sampleOutline(geometry) {
+        const length = geometry.getTotalLength();
+        const count = Math.max(8, Math.min(256, Math.ceil(length / pathSampleSpacing)));
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            const point = geometry.getPointAtLength(length * i / count);
+            points.push([point.x, point.y]);
+        }
+        return points;
+    }
+
+    function getPathOutline(d) {
+        if (pathOutlineCache.has(d)) {
+            return pathOutlineCache.get(d);
+        }
+
+        if (!pathSampler) {
+            const svg = document.createElementNS(svgNamespace, 'svg');
+            svg.setAttribute('aria-hidden', 'true');
+            svg.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden;visibility:hidden';
+            pathSampler = document.createElementNS(svgNamespace, 'path');
+            svg.appendChild(pathSampler);
+            document.body.appendChild(svg);
+        }
+
+        pathSampler.setAttribute('d', d);
+        const points = sampleOutline(pathSampler);
+        pathOutlineCache.set(d, points);
+        return points;
+    }
+
+    // SVG shapes are sampled once in user space and re-projected every refresh
+    function getSvgOutline(el) {
+        const length = el.getTotalLength();
+        const cached = svgOutlineCache.get(el);
+        if (cached && cached.length === length) {
+            return cached.points;
+        }
+        const points = sampleOutline(el);
+        svgOutlineCache.set(el, { length, points });
+        return points;
+    }
+
+    function createPolygonObstacle(el, points) {
+        if (points.length < 3) return null;
+
+        const xs = points.map(point => point[0]);
+        const ys = points.map(point => point[1]);
+        return {
+            type: 'polygon',
+            element: el,
+            points,
+            left: Math.min(...xs),
+            right: Math.max(...xs),
+            top: Math.min(...ys),
+            bottom: Math.max(...ys)
+        };
+    }
+
+    function getElementObstacle(el, rect) {
+        const shape = el.dataset.ballObstacle;
+
+        if (typeof SVGGeometryElement !== 'undefined' && el instanceof SVGGeometryElement) {
+            const matrix = el.getScreenCTM();
+            if (!matrix) return null;
+            const points = getSvgOutline(el).map(([x, y]) => [
+                matrix.a * x + matrix.c * y + matrix.e,
+                matrix.b * x + matrix.d * y + matrix.f
+            ]);
+            return createPolygonObstacle(el, points);
+        }
+
+        if (el.dataset.ballPolygon) {
+            const points = parsePolygon(el.dataset.ballPolygon, rect.width, rect.height)
+                .map(([x, y]) => [rect.left + x, rect.top + y]);
+            return createPolygonObstacle(el, points);
         }
+
+        if (el.dataset.ballPath) {
+            const points = getPathOutline(el.dataset.ballPath)
+                .map(([x, y]) => [rect.left + x, rect.top + y]);
+            return createPolygonObstacle(el, points);
+        }
+
+        if (shape === 'circle') {
+            return {
+                type: 'circle',
+                element: el,
+                cx: rect.left + rect.width / 2,
+                cy: rect.top + rect.height / 2,
+                radius: Math.min(rect.width, rect.height) / 2,
+                left: rect.left,
+                right: rect.right,
+                top: rect.top,
+                bottom: rect.bottom
+            };
+        }
+
+        if (shape === 'rounded') {
+            const radius = parseLength(getComputedStyle(el).borderTopLeftRadius || '0', Math.min(rect.width, rect.height));
+            return {
+                type: 'roundrect',
+                element: el,
+                radius: radius || 0,
+                left: rect.left,
+                right: rect.right,
+                top: rect.top,
+                bottom: rect.bottom
+            };
+        }
+
+        const insetX = Math.min(obstacleInsets.max, rect.width * obstacleInsets.x);
+        const insetY = Math.min(obstacleInsets.max, rect.height * obstacleInsets.y);
+        // Use viewport coordinates only - no scroll offsets
+        const left = rect.left + insetX;
+        const right = rect.right - insetX;
+        const top = rect.top + insetY;
+        const bottom = rect.bottom - insetY;
+        if (right - left < 4 || bottom - top < 4) return null;
+
+        return {
+            type: 'rect',
+            element: el,
+            left,
+            right,
+            top,
+            bottom
+        };
+    }
+
+    // =========================================================================
+    // Materials - surface behaviour for any obstacle or mask element
+    //   data-ball-restitution="0.9"   bounciness, 0 (dead stop) to 1 (no loss)
+    //   data-ball-friction="0.3"      share of sliding speed lost per contact
+    //   data-ball-behavior="sticky"   holds a ball for a moment before letting go
+    //   data-ball-behavior="absorb"   swallows balls on contact
+    // Ball size and weight come from the spawning element instead:
+    //   data-ball-radius="20" data-ball-mass="3"
+    // =========================================================================
+    const materialBehaviors = ['sticky', 'absorb'];
+
+    function parseFraction(value) {
+        if (value === undefined || value.trim() === '' || isNaN(value)) return undefined;
+        return Math.max(0, Math.min(1, Number(value)));
+    }
+
+    function getElementMaterial(el) {
+        const restitution = parseFraction(el.dataset.ballRestitution);
+        const friction = parseFraction(el.dataset.ballFriction);
+        const behavior = materialBehaviors.includes(el.dataset.ballBehavior) ? el.dataset.ballBehavior : undefined;
+        if (restitution === undefined && friction === undefined && !behavior) return null;
+        return { restitution, friction, behavior };
+    }
+
+    function getSpawnProps(el) {
+        const radius = Number(el.dataset.ballRadius);
+        const mass = Number(el.dataset.ballMass);
+        return {
+            radius: radius > 0 ? radius : undefined,
+            mass: mass > 0 ? mass : undefined
+        };
+    }
+
+    // =========================================================================
+    // Obstacle Tracking - observers report when geometry may have changed, so the
+    // engine re-reads obstacles only then, and only for elements near the viewport
+    //   ResizeObserver          size changes, including lazy images and web fonts
+    //   IntersectionObserver    which elements are close enough to matter
+    //   MutationObserver        marked elements added, removed or re-marked
+    //   scroll, resize          everything else that moves them
+    //   transition, animation   ends on marked elements or elements that contain them
+    // The engine wakes only the sleeping balls near obstacles that actually moved
+    // =========================================================================
+    const trackedSelector = '[data-ball-obstacle], [data-ball-mask], [data-ball-field]';
+    const trackedAttributes = [
+        'data-ball-obstacle', 'data-ball-mask', 'data-ball-field', 'data-ball-polygon', 'data-ball-path',
+        'data-ball-restitution', 'data-ball-friction', 'data-ball-behavior',
+        'data-ball-field-strength', 'data-ball-field-radius', 'data-ball-field-angle'
+    ];
+    const visibilityMargin = '200px';
+    // element -> whether it is near the viewport; insertion order keeps document order
+    const trackedElements = new Map();
+
+    function invalidateObstacles() {
+        ballEngine.invalidateObstacles();
+    }
+
+    const obstacleResizeObserver = new ResizeObserver(invalidateObstacles);
+
+    const obstacleVisibilityObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => trackedElements.set(entry.target, entry.isIntersecting));
+        invalidateObstacles();
+    }, { rootMargin: visibilityMargin });
+
+    // Sync the tracked set with the marked elements in the document
+    function trackElements() {
+        const current = new Set(document.querySelectorAll(trackedSelector));
+
+        trackedElements.forEach((visible, el) => {
+            if (current.has(el)) return;
+            obstacleResizeObserver.unobserve(el);
+            obstacleVisibilityObserver.unobserve(el);
+            el.removeEventListener('load', invalidateObstacles);
+            trackedElements.delete(el);
+        });
+
+        current.forEach((el) => {
+            if (trackedElements.has(el)) return;
+            // Counted as visible until the first intersection report says otherwise
+            trackedElements.set(el, true);
+            obstacleResizeObserver.observe(el);
+            obstacleVisibilityObserver.observe(el);
+            // A mask image has no pixels to read until it loads
+            if (el.tagName === 'IMG') el.addEventListener('load', invalidateObstacles);
+        });
+
+        invalidateObstacles();
+    }
+
+    function getTrackedElements(selector) {
+        const elements = [];
+        trackedElements.forEach((visible, el) => {
+            if (visible && el.matches(selector)) elements.push(el);
+        });
+        return elements;
+    }
+
+    function containsTracked(node) {
+        return node.nodeType === Node.ELEMENT_NODE &&
+            (node.matches(trackedSelector) || node.querySelector(trackedSelector) !== null);
+    }
+
+    // Unrelated DOM churn (the ball layer, the debug overlay, live regions) is ignored;
+    // attribute changes are already filtered to the tracked attributes
+    const obstacleMutationObserver = new MutationObserver((mutations) => {
+        const relevant = mutations.some(mutation => mutation.type === 'attributes' ||
+            Array.from(mutation.addedNodes).some(containsTracked) ||
+            Array.from(mutation.removedNodes).some(containsTracked));
+        if (relevant) trackElements();
+    });
+
+    // A hover transition anywhere else on the page moves no obstacle
+    function onMotionEnd(e) {
+        if (containsTracked(e.target)) invalidateObstacles();
     }
 
     // Get obstacles - only marked elements are collidable
     // Uses viewport coordinates only (no scroll offsets) to match position:fixed balls
     function getObstacles() {
         const obstacles = [];
-        document.querySelectorAll('[data-ball-obstacle]').forEach((el) => {
+        getTrackedElements('[data-ball-obstacle]').forEach((el) => {
             const rect = el.getBoundingClientRect();
             if (rect.width < 6 || rect.height < 6) return;
 
-            const insetX = Math.min(10, rect.width * 0.08);
-            const insetY = Math.min(10, rect.height * 0.12);
-            // Use viewport coordinates only - no scroll offsets
-            const left = rect.left + insetX;
-            const right = rect.right - insetX;
-            const top = rect.top + insetY;
-            const bottom = rect.bottom - insetY;
-            if (right - left < 4 || bottom - top < 4) return;
-
-            obstacles.push({
-                type: 'rect',
-                element: el,
-                left,
-                right,
-                top,
-                bottom
-            });
+            const obstacle = getElementObstacle(el, rect);
+            if (!obstacle) return;
+            obstacle.material = getElementMaterial(el);
+            obstacles.push(obstacle);
         });
 
-        document.querySelectorAll('[data-ball-mask]').forEach((el) => {
+        getTrackedElements('[data-ball-mask]').forEach((el) => {
             const rect = el.getBoundingClientRect();
             if (rect.width < 6 || rect.height < 6) return;
 
@@ -161,535 +477,822 @@
 
             obstacles.push({
                 type: 'mask',
+                element: el,
                 left,
                 right,
                 top,
                 bottom,
                 width: rect.width,
                 height: rect.height,
-                mask
+                mask,
+                material: getElementMaterial(el)
             });
         });
 
         return obstacles;
     }
 
-    function checkRectCollision(ballObj, obs) {
-        if (obs.type !== 'rect') return false;
-
-        const { x, y } = ballObj;
-        const ballLeft = x - ballRadius;
-        const ballRight = x + ballRadius;
-        const ballTop = y - ballRadius;
-        const ballBottom = y + ballRadius;
-
-        if (ballRight > obs.left && ballLeft < obs.right &&
-            ballBottom > obs.top && ballTop < obs.bottom) {
-
-            const overlapLeft = ballRight - obs.left;
-            const overlapRight = obs.right - ballLeft;
-            const overlapTop = ballBottom - obs.top;
-            const overlapBottom = obs.bottom - ballTop;
+    // =========================================================================
+    // Force Fields - elements that move balls without touching them
+    //   data-ball-field="attract"  pulls balls towards the element's centre
+    //   data-ball-field="repel"    pushes them away
+    //   data-ball-field="well"     strong inverse-square pull that makes balls orbit
+    //   data-ball-field="wind"     steady push across the element's box
+    // Tuned with data-ball-field-strength, data-ball-field-radius (defaults to the
+    // element's longer side) and, for wind, data-ball-field-angle in degrees (0 blows right)
+    // The cursor field follows <body data-ball-cursor="attract|repel|off">
+    // =========================================================================
+    const fieldStrengths = { attract: 0.3, repel: 0.5, well: 1.2, wind: 0.15 };
+    const cursorModes = ['attract', 'repel', 'off'];
 
-            const minOverlapX = Math.min(overlapLeft, overlapRight);
-            const minOverlapY = Math.min(overlapTop, overlapBottom);
+    function parseNumber(value, fallback) {
+        return value !== undefined && value.trim() !== '' && !isNaN(value) ? Number(value) : fallback;
+    }
 
-            // Add impact flash effect to ball
-            ballObj.element.classList.add('impact');
-            setTimeout(() => {
-                if (ballObj.element) ballObj.element.classList.remove('impact');
-            }, 200);
+    // Viewport coordinates, like obstacles
+    function getForceFields() {
+        const fields = [];
+        getTrackedElements('[data-ball-field]').forEach((el) => {
+            const type = el.dataset.ballField;
+            if (!(type in fieldStrengths)) return;
 
-            // Add flash effect to collided text element
-            if (obs.element) {
-                obs.element.classList.add('ball-hit');
-                setTimeout(() => {
-                    if (obs.element) obs.element.classList.remove('ball-hit');
-                }, 400);
-            }
-
-            if (minOverlapX < minOverlapY) {
-                if (overlapLeft < overlapRight) {
-                    ballObj.x = obs.left - ballRadius;
-                    ballObj.vx = -Math.abs(ballObj.vx) * bounceFactor;
-                } else {
-                    ballObj.x = obs.right + ballRadius;
-                    ballObj.vx = Math.abs(ballObj.vx) * bounceFactor;
-                }
-                if (Math.abs(ballObj.vx) < stopVelocity) {
-                    ballObj.vx = 0;
-                }
-                // Add rotation on side collision
-                ballObj.rotation = (ballObj.rotation || 0) + ballObj.vx * 2;
+            const rect = el.getBoundingClientRect();
+            if (rect.width === 0 && rect.height === 0) return;
+            const strength = parseNumber(el.dataset.ballFieldStrength, fieldStrengths[type]);
+
+            if (type === 'wind') {
+                fields.push({
+                    type,
+                    element: el,
+                    left: rect.left,
+                    right: rect.right,
+                    top: rect.top,
+                    bottom: rect.bottom,
+                    angle: parseNumber(el.dataset.ballFieldAngle, 0),
+                    strength
+                });
             } else {
-                if (overlapTop < overlapBottom) {
-                    ballObj.y = obs.top - ballRadius;
-                    ballObj.vy = -Math.abs(ballObj.vy) * bounceFactor;
-                    // Enhanced squash effect
-                    const impactForce = Math.min(Math.abs(ballObj.vy) / maxVelocity, 1);
-                    const squashX = 1 + impactForce * 0.5;
-                    const squashY = 1 - impactForce * 0.4;
-                    ballObj.element.style.transform = `translate(-50%, -50%) scaleX(${squashX}) scaleY(${squashY}) rotate(${ballObj.rotation || 0}deg)`;
-                    setTimeout(() => {
-                        if (ballObj.element) {
-                            ballObj.element.style.transform = `translate(-50%, -50%) rotate(${ballObj.rotation || 0}deg)`;
-                        }
-                    }, 120);
-                } else {
-                    ballObj.y = obs.bottom + ballRadius;
-                    ballObj.vy = Math.abs(ballObj.vy) * bounceFactor;
-                }
-                if (Math.abs(ballObj.vy) < stopVelocity) {
-                    ballObj.vy = 0;
-                }
+                fields.push({
+                    type,
+                    element: el,
+                    x: rect.left + rect.width / 2,
+                    y: rect.top + rect.height / 2,
+                    radius: parseNumber(el.dataset.ballFieldRadius, Math.max(rect.width, rect.height)),
+                    strength
+                });
             }
-            return true;
-        }
-        return false;
+        });
+        return fields;
     }
 
-    function checkMaskCollision(ballObj, obs) {
-        if (obs.type !== 'mask') return false;
+    // Canvas by default; <body data-ball-renderer="dom"> keeps one div per ball
+    const rendererType = document.body.dataset.ballRenderer === 'dom' || !BallRenderers.supportsCanvas()
+        ? 'dom'
+        : 'canvas';
+
+    // ?seed=1234 makes every spawn pattern, jitter and spin reproducible
+    const pageParams = new URLSearchParams(window.location.search);
+    const seedParam = pageParams.get('seed');
+    const ballSeed = seedParam !== null && seedParam.trim() !== '' && !isNaN(seedParam) ? Number(seedParam) : null;
+    // Spawn patterns draw from their own stream so replays don't depend on click handling
+    const spawnRandom = BallPhysics.createRandom(ballSeed !== null ? ballSeed + 1 : undefined);
+
+    const ballEngine = BallPhysics.createEngine({
+        seed: ballSeed,
+        // A single canvas has no per-ball layout cost, so it can carry far more balls
+        maxBalls: rendererType === 'canvas' ? 80 : 15,
+        getObstacles,
+        getForceFields,
+        obstacleCacheDuration: Infinity, // Obstacle Tracking invalidates the cache instead
+        cursorMode: cursorModes.includes(document.body.dataset.ballCursor) ? document.body.dataset.ballCursor : 'attract',
+        // Use viewport size only - balls are position:fixed so they stay in viewport
+        getBounds: () => ({ width: window.innerWidth, height: window.innerHeight }),
+        getCursor: () => cursorActive ? { x: mouseX, y: mouseY } : null
+    });
+    const ballRenderer = BallRenderers.createRenderer(ballEngine, {
+        container: ballContainer,
+        type: rendererType
+    });
 
-        const { x, y } = ballObj;
-        const ballLeft = x - ballRadius;
-        const ballRight = x + ballRadius;
-        const ballTop = y - ballRadius;
-        const ballBottom = y + ballRadius;
+    // Obstacle tracking starts once there is an engine to tell about changes
+    trackElements();
+    obstacleMutationObserver.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: trackedAttributes
+    });
+    window.addEventListener('scroll', invalidateObstacles, { passive: true });
+    window.addEventListener('resize', invalidateObstacles);
+    document.addEventListener('transitionend', onMotionEnd, true);
+    document.addEventListener('animationend', onMotionEnd, true);
 
-        if (ballRight < obs.left || ballLeft > obs.right || ballBottom < obs.top || ballTop > obs.bottom) {
-            return false;
-        }
+    // =========================================================================
+    // Motion Policy - one place decides how much the ball layer may move
+    //   prefers-reduced-motion  no scroll jolts; no pop, squash, flash or trail effects
+    //   hidden tab              simulation paused until the page is visible again
+    //   low battery or low FPS  fewer collision passes and balls, plain drawing
+    // Every loop (engine, renderer, scroll, cursor) already sleeps once nothing moves
+    // =========================================================================
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const lowBatteryLevel = 0.2;
+    const lowFrameRate = 40; // fps that switches to low power...
+    const recoverFrameRate = 55; // ...and what it takes to switch back
+    const frameSampleWindow = 2000; // ms of running simulation per frame-rate sample
+    const motion = {
+        reducedMotion: reducedMotionQuery.matches,
+        hidden: document.hidden,
+        lowBattery: false,
+        slowFrames: false,
+        userPaused: false
+    };
+    // What the engine runs with at full power; setOptions updates these
+    const fullMotionSettings = {
+        subSteps: ballEngine.options.subSteps,
+        maxBalls: ballEngine.options.maxBalls
+    };
 
-        const localX = x - obs.left;
-        const localY = y - obs.top;
+    function applyMotionPolicy() {
+        const lowPower = motion.lowBattery || motion.slowFrames;
 
-        if (localX < 0 || localY < 0 || localX > obs.width || localY > obs.height) {
-            return false;
+        ballEngine.configure({
+            subSteps: lowPower ? Math.min(2, fullMotionSettings.subSteps) : fullMotionSettings.subSteps,
+            maxBalls: lowPower ? Math.min(20, fullMotionSettings.maxBalls) : fullMotionSettings.maxBalls
+        });
+        ballRenderer.setReducedMotion(motion.reducedMotion || lowPower);
+
+        if (motion.hidden || motion.userPaused) {
+            ballEngine.pause();
+        } else {
+            ballEngine.resume();
         }
+    }
 
-        const sampleX = Math.max(0, Math.min(obs.mask.width - 1, Math.floor((localX / obs.width) * obs.mask.width)));
-        const sampleY = Math.max(0, Math.min(obs.mask.height - 1, Math.floor((localY / obs.height) * obs.mask.height)));
-        const alphaIndex = (sampleY * obs.mask.width + sampleX) * 4 + 3;
-        const alpha = obs.mask.data[alphaIndex];
+    reducedMotionQuery.addEventListener('change', () => {
+        motion.reducedMotion = reducedMotionQuery.matches;
+        applyMotionPolicy();
+    });
 
-        if (alpha <= maskAlphaThreshold) {
-            return false;
-        }
+    document.addEventListener('visibilitychange', () => {
+        motion.hidden = document.hidden;
+        applyMotionPolicy();
+    });
 
-        const sampleOpaque = (dx, dy) => {
-            const ix = Math.max(0, Math.min(obs.mask.width - 1, sampleX + dx));
-            const iy = Math.max(0, Math.min(obs.mask.height - 1, sampleY + dy));
-            const a = obs.mask.data[(iy * obs.mask.width + ix) * 4 + 3];
-            return a > maskAlphaThreshold ? 1 : 0;
-        };
+    if (navigator.getBattery) {
+        navigator.getBattery().then((battery) => {
+            const updateBattery = () => {
+                motion.lowBattery = !battery.charging && battery.level <= lowBatteryLevel;
+                applyMotionPolicy();
+            };
+            battery.addEventListener('levelchange', updateBattery);
+            battery.addEventListener('chargingchange', updateBattery);
+            updateBattery();
+        }).catch(() => {});
+    }
 
-        let nx = sampleOpaque(1, 0) - sampleOpaque(-1, 0);
-        let ny = sampleOpaque(0, 1) - sampleOpaque(0, -1);
-        if (nx === 0 && ny === 0) {
-            const speed = Math.hypot(ballObj.vx, ballObj.vy) || 1;
-            nx = ballObj.vx / speed;
-            ny = ballObj.vy / speed;
-        }
+    // Frame rate measured from the engine's own steps, so it costs no extra loop
+    let frameSampleStart = 0;
+    let frameSampleCount = 0;
+    let lastFrameTime = -Infinity;
 
-        const nLen = Math.hypot(nx, ny) || 1;
-        nx /= nLen;
-        ny /= nLen;
+    ballEngine.on('step', () => {
+        const now = performance.now();
+        if (now - lastFrameTime < 4) return; // Catch-up steps inside the same frame
 
-        const vDot = ballObj.vx * nx + ballObj.vy * ny;
-        ballObj.vx = (ballObj.vx - 2 * vDot * nx) * bounceFactor;
-        ballObj.vy = (ballObj.vy - 2 * vDot * ny) * bounceFactor;
+        // A gap means the engine slept; start a fresh sample
+        if (now - lastFrameTime > 250) {
+            frameSampleStart = now;
+            frameSampleCount = 0;
+        }
+        lastFrameTime = now;
+        frameSampleCount++;
+
+        if (now - frameSampleStart >= frameSampleWindow) {
+            const fps = frameSampleCount * 1000 / (now - frameSampleStart);
+            const slowFrames = fps < (motion.slowFrames ? recoverFrameRate : lowFrameRate);
+            frameSampleStart = now;
+            frameSampleCount = 0;
+            if (slowFrames !== motion.slowFrames) {
+                motion.slowFrames = slowFrames;
+                applyMotionPolicy();
+            }
+        }
+    });
 
-        ballObj.x = ballObj.prevX ?? ballObj.x;
-        ballObj.y = ballObj.prevY ?? ballObj.y;
+    applyMotionPolicy();
 
-        // Impact flash
-        ballObj.element.classList.add('impact');
-        setTimeout(() => {
-            if (ballObj.element) ballObj.element.classList.remove('impact');
-        }, 150);
+    // Add flash effect to collided text element
+    ballEngine.on('obstacle-hit', ({ obstacle }) => {
+        if (!obstacle.element) return;
+        obstacle.element.classList.add('ball-hit');
+        setTimeout(() => obstacle.element.classList.remove('ball-hit'), 400);
+    });
 
-        return true;
+    function spawnBall(x, y, vx, vy, variant, props) {
+        return ballEngine.spawn(x, y, vx, vy, variant, props);
     }
 
-    function resolveBallCollision(a, b) {
-        const dx = b.x - a.x;
-        const dy = b.y - a.y;
-        const minDist = ballRadius * 2;
-        let dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist === 0) {
-            dist = 0.01;
-        }
+    // =========================================================================
+    // Pointer Drag & Fling - grab balls with a mouse, a pen or several fingers at once
+    // =========================================================================
+    const grabSlop = { mouse: 4, pen: 8, touch: 16 }; // Fingers are imprecise, so reach further
+    const flingWindow = 100; // Pointer history (ms) used for the release velocity
+    const frameDuration = 1000 / 60;
+    const heldBalls = new Map(); // pointerId -> { ball, samples }
+    let lastReleaseTime = -Infinity;
+
+    // Pointer positions are client coordinates, the viewport space the engine simulates in
+    function findGrabbableBall(clientX, clientY, pointerType) {
+        return ballEngine.findBallAt(clientX, clientY, grabSlop[pointerType] || grabSlop.mouse);
+    }
 
-        if (dist < minDist) {
-            const nx = dx / dist;
-            const ny = dy / dist;
-            const overlap = minDist - dist;
-            const separation = overlap / 2;
+    // Release velocity in px per 60fps frame, from the recent pointer samples
+    function getFlingVelocity(samples) {
+        const last = samples[samples.length - 1];
+        const first = samples.find(sample => last.time - sample.time <= flingWindow) || last;
+        const elapsed = last.time - first.time;
+        if (elapsed <= 0) return { vx: 0, vy: 0 };
+        return {
+            vx: (last.x - first.x) / elapsed * frameDuration,
+            vy: (last.y - first.y) / elapsed * frameDuration
+        };
+    }
 
-            a.x -= nx * separation;
-            a.y -= ny * separation;
-            b.x += nx * separation;
-            b.y += ny * separation;
+    document.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
 
-            const rvx = b.vx - a.vx;
-            const rvy = b.vy - a.vy;
-            const velAlongNormal = rvx * nx + rvy * ny;
+        const ball = findGrabbableBall(e.clientX, e.clientY, e.pointerType);
+        if (!ball) return;
 
-            if (velAlongNormal > 0) return;
+        e.preventDefault();
+        heldBalls.set(e.pointerId, {
+            ball,
+            samples: [{ x: e.clientX, y: e.clientY, time: e.timeStamp }]
+        });
+        ballEngine.grab(ball, e.clientX, e.clientY);
+    });
 
-            const impulse = -(1 + ballBounceFactor) * velAlongNormal / 2;
-            const ix = impulse * nx;
-            const iy = impulse * ny;
+    window.addEventListener('pointermove', (e) => {
+        const held = heldBalls.get(e.pointerId);
+        if (!held) return;
 
-            a.vx -= ix;
-            a.vy -= iy;
-            b.vx += ix;
-            b.vy += iy;
+        if (!held.ball.active) {
+            heldBalls.delete(e.pointerId);
+            return;
+        }
 
-            // Visual feedback on ball collision
-            a.element.classList.add('impact');
-            b.element.classList.add('impact');
+        held.samples.push({ x: e.clientX, y: e.clientY, time: e.timeStamp });
+        while (held.samples.length > 2 && e.timeStamp - held.samples[0].time > flingWindow) {
+            held.samples.shift();
+        }
+        ballEngine.drag(held.ball, e.clientX, e.clientY);
+    });
 
-            setTimeout(() => {
-                if (a.element) a.element.classList.remove('impact');
-                if (b.element) b.element.classList.remove('impact');
-            }, 150);
+    function releasePointer(e, fling) {
+        const held = heldBalls.get(e.pointerId);
+        if (!held) return;
+        heldBalls.delete(e.pointerId);
+        lastReleaseTime = e.timeStamp;
 
-            // Add spin to both balls
-            const spinTransfer = 5;
-            a.rotation = (a.rotation || 0) + spinTransfer * (Math.random() - 0.5);
-            b.rotation = (b.rotation || 0) + spinTransfer * (Math.random() - 0.5);
-        }
+        const { vx, vy } = fling ? getFlingVelocity(held.samples) : { vx: 0, vy: 0 };
+        ballEngine.release(held.ball, vx, vy);
     }
 
-    // Clamp velocity and apply visual effects based on speed
-    function clampVelocity(ballObj) {
-        const speed = Math.sqrt(ballObj.vx * ballObj.vx + ballObj.vy * ballObj.vy);
+    window.addEventListener('pointerup', e => releasePointer(e, true));
+    window.addEventListener('pointercancel', e => releasePointer(e, false));
 
-        // Add high-velocity class for visual trail effect
-        if (speed > maxVelocity * 0.6) {
-            ballObj.element.classList.add('high-velocity');
-            ballObj.element.classList.remove('resting');
-        } else if (speed < stopVelocity * 2) {
-            // Ball is nearly at rest
-            ballObj.element.classList.remove('high-velocity');
-            ballObj.element.classList.add('resting');
-        } else {
-            ballObj.element.classList.remove('high-velocity');
-            ballObj.element.classList.remove('resting');
-        }
-
-        if (speed > maxVelocity) {
-            const scale = maxVelocity / speed;
-            ballObj.vx *= scale;
-            ballObj.vy *= scale;
+    // Dropping a ball shouldn't also click whatever it was dropped on
+    window.addEventListener('click', (e) => {
+        if (e.timeStamp - lastReleaseTime < 300) {
+            e.preventDefault();
+            e.stopPropagation();
         }
+    }, true);
+
+    // Stop the page scrolling when a finger lands on a ball
+    function onTouchStart(e) {
+        const onBall = Array.from(e.changedTouches).some(touch =>
+            findGrabbableBall(touch.clientX, touch.clientY, 'touch')
+        );
+        if (onBall) e.preventDefault();
     }
 
-    // Apply cursor magnetic field to ball
-    function applyCursorMagnetism(ballObj) {
-        // Use viewport coordinates directly since balls are position:fixed
-        const dx = mouseX - ballObj.x;
-        const dy = mouseY - ballObj.y;
-        const distanceSq = dx * dx + dy * dy;
-        const magneticRadiusSq = magneticRadius * magneticRadius;
-
-        if (distanceSq < magneticRadiusSq && distanceSq > 25) { // Prevent division by zero and extreme forces
-            const distance = Math.sqrt(distanceSq);
-            const force = (1 - distance / magneticRadius) * magneticStrength;
-            const angle = Math.atan2(dy, dx);
+    // A non-passive listener makes every touch scroll wait on it, so it is only
+    // attached while there are balls to land on
+    let touchGuarded = false;
 
-            // Attract ball to cursor with damping
-            const forceX = Math.cos(angle) * force;
-            const forceY = Math.sin(angle) * force;
-
-            // Apply force with velocity damping to prevent runaway acceleration
-            ballObj.vx += forceX * 0.8;
-            ballObj.vy += forceY * 0.8;
+    function updateTouchGuard() {
+        const inPlay = ballEngine.balls.some(ball => ball.active);
+        if (inPlay === touchGuarded) return;
+        touchGuarded = inPlay;
+        if (inPlay) {
+            document.addEventListener('touchstart', onTouchStart, { passive: false });
+        } else {
+            document.removeEventListener('touchstart', onTouchStart);
         }
     }
 
-    // Animation loop for all balls
-    let animating = false;
-    let obstacleCache = [];
-    let obstacleCacheTime = 0;
-    const obstacleCacheDuration = 100; // Cache obstacles for 100ms to reduce DOM queries
+    ballEngine.on('spawn', updateTouchGuard);
+    ballEngine.on('remove', updateTouchGuard);
 
-    function animateAll(currentTime) {
-        if (balls.length === 0) {
-            animating = false;
-            lastTime = 0;
-            return;
-        }
+    // =========================================================================
+    // Session Recording - MusaBalls.startRecording() / stopRecording() for bug reports
+    // =========================================================================
+    let ballRecorder = null;
 
-        // Calculate delta time for frame-independent physics
-        if (lastTime === 0) lastTime = currentTime;
-        const deltaTime = Math.min((currentTime - lastTime) / 16.67, 2); // Normalize to ~60fps, cap at 2x
-        lastTime = currentTime;
+    function startRecording() {
+        if (ballRecorder && ballRecorder.active) ballRecorder.stop();
+        ballRecorder = BallPhysics.createRecorder(ballEngine);
+    }
 
-        // Cache obstacles to reduce expensive DOM queries
-        if (currentTime - obstacleCacheTime > obstacleCacheDuration) {
-            obstacleCache = getObstacles();
-            obstacleCacheTime = currentTime;
-        }
-        const obstacles = obstacleCache;
+    // Returns the recording as a JSON string
+    function stopRecording() {
+        if (!ballRecorder) return null;
+        ballRecorder.stop();
+        return ballRecorder.export();
+    }
 
-        const docWidth = window.innerWidth;
-        // Use viewport height only - balls are position:fixed so they stay in viewport
-        const docHeight = window.innerHeight;
+    // Play a recording back on its own engine, drawn over the live layer
+    function replayRecording(json) {
+        const replay = BallPhysics.createReplay(json);
+        const renderer = BallRenderers.createRenderer(replay.engine, {
+            container: ballContainer,
+            type: rendererType
+        });
+        ballEngine.clear();
 
-        balls.forEach((ballObj) => {
-            if (!ballObj.active) return;
+        return new Promise((resolve) => {
+            function playFrame() {
+                if (replay.advance()) {
+                    requestAnimationFrame(playFrame);
+                } else {
+                    renderer.destroy();
+                    replay.engine.destroy();
+                    resolve(replay.recording);
+                }
+            }
+            requestAnimationFrame(playFrame);
+        });
+    }
 
-            ballObj.prevX = ballObj.x;
-            ballObj.prevY = ballObj.y;
+    // =========================================================================
+    // Ball Lifecycle Events - CustomEvents other page scripts can listen for
+    //   ball:spawn, ball:collision, ball:wall-hit, ball:remove on document
+    //   ball:obstacle-hit on the obstacle element, bubbling up to document
+    // =========================================================================
 
-            // Apply cursor magnetism
-            applyCursorMagnetism(ballObj);
+    // Listeners get a plain copy, never the engine's live ball object
+    function describeBall(ballObj) {
+        return {
+            id: ballObj.id,
+            x: ballObj.x,
+            y: ballObj.y,
+            vx: ballObj.vx,
+            vy: ballObj.vy,
+            variant: ballObj.variant,
+            radius: ballObj.radius || ballEngine.options.ballRadius
+        };
+    }
 
-            // Apply gravity (frame-independent)
-            ballObj.vy += gravity * deltaTime;
+    function dispatchBallEvent(type, detail, target = document) {
+        target.dispatchEvent(new CustomEvent('ball:' + type, { bubbles: true, detail }));
+    }
 
-            // Apply air resistance to both axes
-            ballObj.vx *= Math.pow(airResistance, deltaTime);
-            ballObj.vy *= Math.pow(airResistance, deltaTime);
+    ballEngine.on('spawn', ({ ball }) => {
+        dispatchBallEvent('spawn', { ball: describeBall(ball) });
+    });
 
-            // Clamp velocity and update visuals
-            clampVelocity(ballObj);
+    ballEngine.on('collision', ({ a, b, speed }) => {
+        dispatchBallEvent('collision', { ball: describeBall(a), other: describeBall(b), speed });
+    });
 
-            // Update position (frame-independent)
-            ballObj.x += ballObj.vx * deltaTime;
-            ballObj.y += ballObj.vy * deltaTime;
+    ballEngine.on('obstacle-hit', ({ ball, obstacle, speed }) => {
+        const target = obstacle.element && obstacle.element.isConnected ? obstacle.element : document;
+        dispatchBallEvent('obstacle-hit', {
+            ball: describeBall(ball),
+            element: obstacle.element || null,
+            shape: obstacle.type,
+            speed
+        }, target);
+    });
 
-            // Update rotation with custom spin speed
-            if (!ballObj.rotation) ballObj.rotation = 0;
-            ballObj.rotation += ((ballObj.vx * 0.5) + (ballObj.spinSpeed || 0)) * deltaTime;
-        });
+    ballEngine.on('wall-hit', ({ ball, wall, speed }) => {
+        dispatchBallEvent('wall-hit', { ball: describeBall(ball), wall, speed });
+    });
 
-        // Check collisions with obstacles
-        balls.forEach((ballObj) => {
-            if (!ballObj.active) return;
-            // Check collisions
-            for (const obs of obstacles) {
-                if (obs.type === 'rect') {
-                    checkRectCollision(ballObj, obs);
-                } else if (obs.type === 'mask') {
-                    checkMaskCollision(ballObj, obs);
-                }
-            }
-        });
+    // reason: 'rest', 'offscreen', 'overflow', 'clear' or 'absorbed'
+    ballEngine.on('remove', ({ ball, reason }) => {
+        dispatchBallEvent('remove', { ball: describeBall(ball), reason });
+    });
 
-        // Ball to ball collisions
-        for (let i = 0; i < balls.length; i++) {
-            const a = balls[i];
-            if (!a.active) continue;
-            for (let j = i + 1; j < balls.length; j++) {
-                const b = balls[j];
-                if (!b.active) continue;
-                resolveBallCollision(a, b);
+    // =========================================================================
+    // Ball Persistence - balls keep flying from one page to the next
+    // The engine snapshot goes into sessionStorage as the page is left and is
+    // picked up by the next page, or by this one coming back from the back/forward cache
+    // =========================================================================
+    const ballStorageKey = 'musa:balls';
+    const ballStateLifetime = 10000; // ms - older state is from a past visit, not a navigation
+
+    function saveBallState() {
+        try {
+            const state = ballEngine.snapshot();
+            if (state.balls.length === 0) {
+                sessionStorage.removeItem(ballStorageKey);
+                return;
             }
+            // Nothing holds a ball once the page is gone
+            state.balls.forEach((saved) => {
+                saved.held = false;
+            });
+            sessionStorage.setItem(ballStorageKey, JSON.stringify({ savedAt: Date.now(), state }));
+        } catch (e) {
+            // Storage full or unavailable - the balls just don't carry over
         }
+    }
 
-        // Walls, ceiling, and floor
-        balls.forEach((ballObj) => {
-            if (!ballObj.active) return;
+    // Returns whether there was recent state to restore
+    function restoreBallState() {
+        let saved = null;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(ballStorageKey));
+            sessionStorage.removeItem(ballStorageKey);
+        } catch (e) {
+            return false;
+        }
+        if (!saved || !saved.state || Date.now() - saved.savedAt > ballStateLifetime) return false;
+        ballEngine.restore(saved.state);
+        return true;
+    }
 
-            // Left wall
-            if (ballObj.x - ballRadius < 0) {
-                ballObj.x = ballRadius;
-                ballObj.vx = Math.abs(ballObj.vx) * bounceFactor;
-                if (Math.abs(ballObj.vx) < stopVelocity) {
-                    ballObj.vx = 0;
-                }
-            }
+    window.addEventListener('pagehide', saveBallState);
 
-            // Right wall
-            if (ballObj.x + ballRadius > docWidth) {
-                ballObj.x = docWidth - ballRadius;
-                ballObj.vx = -Math.abs(ballObj.vx) * bounceFactor;
-                if (Math.abs(ballObj.vx) < stopVelocity) {
-                    ballObj.vx = 0;
-                }
-            }
+    window.addEventListener('pageshow', (e) => {
+        // Fresh loads restore below; this covers pages revived from the back/forward cache,
+        // whose own balls went on to the next page and must not appear twice
+        if (e.persisted && !restoreBallState()) ballEngine.clear();
+    });
 
-            // Ceiling (prevent balls going above viewport)
-            if (ballObj.y - ballRadius < 0) {
-                ballObj.y = ballRadius;
-                ballObj.vy = Math.abs(ballObj.vy) * bounceFactor;
-                if (Math.abs(ballObj.vy) < stopVelocity) {
-                    ballObj.vy = 0;
-                }
-            }
+    restoreBallState();
 
-            // Remove balls that fall below the page or go way off screen
-            if (ballObj.y > docHeight + 200) {
-                ballObj.active = false;
-                ballObj.element.classList.add('fade-out');
-                setTimeout(() => {
-                    if (ballObj.element && ballObj.element.parentNode) {
-                        ballObj.element.parentNode.removeChild(ballObj.element);
-                    }
-                }, 300);
-                return;
-            }
+    // =========================================================================
+    // Collision Sounds - off by default; the visitor's choice is remembered
+    // audio.js waits for a user gesture before it makes any sound
+    // =========================================================================
+    const soundStorageKey = 'musa:ball-sound';
+    const ballAudio = window.BallAudio && BallAudio.supportsAudio()
+        ? BallAudio.createBallAudio(ballEngine, { enabled: readSoundSetting() })
+        : null;
+    let soundToggle = null;
+
+    // Storage can be unavailable, e.g. in private windows
+    function readSoundSetting() {
+        try {
+            return localStorage.getItem(soundStorageKey) === 'on';
+        } catch (e) {
+            return false;
+        }
+    }
 
-            // Floor with bounce - only bounce if near the bottom
-            if (ballObj.y + ballRadius > docHeight) {
-                ballObj.y = docHeight - ballRadius;
-                ballObj.vy = -Math.abs(ballObj.vy) * bounceFactor;
+    function setSound(enabled) {
+        if (!ballAudio) return false;
+        ballAudio.setEnabled(enabled);
+        try {
+            localStorage.setItem(soundStorageKey, ballAudio.enabled ? 'on' : 'off');
+        } catch (e) {
+            // Still applies for this page
+        }
+        if (soundToggle) {
+            soundToggle.setAttribute('aria-pressed', String(ballAudio.enabled));
+            soundToggle.textContent = ballAudio.enabled ? 'Sound on' : 'Sound off';
+        }
+        return ballAudio.enabled;
+    }
 
-                // Squash on floor bounce
-                const impactForce = Math.min(Math.abs(ballObj.vy) / maxVelocity, 1);
-                const squashX = 1 + impactForce * 0.5;
-                const squashY = 1 - impactForce * 0.4;
-                ballObj.element.style.transform = `translate(-50%, -50%) scaleX(${squashX}) scaleY(${squashY}) rotate(${ballObj.rotation || 0}deg)`;
-                setTimeout(() => {
-                    if (ballObj.element) {
-                        ballObj.element.style.transform = `translate(-50%, -50%) rotate(${ballObj.rotation || 0}deg)`;
-                    }
-                }, 120);
+    if (ballAudio) {
+        soundToggle = document.createElement('button');
+        soundToggle.type = 'button';
+        soundToggle.className = 'sound-toggle';
+        soundToggle.addEventListener('click', () => setSound(!ballAudio.enabled));
+        document.body.appendChild(soundToggle);
+        setSound(ballAudio.enabled);
+    }
 
-                if (Math.abs(ballObj.vy) < stopVelocity) {
-                    ballObj.vy = 0;
-                }
+    // =========================================================================
+    // Public API - window.MusaBalls drives the ball layer from other scripts
+    // =========================================================================
 
-                // Track resting time at bottom
-                if (Math.abs(ballObj.vx) < stopVelocity && Math.abs(ballObj.vy) < stopVelocity) {
-                    if (!ballObj.restingStartTime) {
-                        ballObj.restingStartTime = currentTime;
-                    } else if (currentTime - ballObj.restingStartTime > 3000) {
-                        // Ball has been resting for 3 seconds, fade out and delete
-                        ballObj.element.style.opacity = '0';
-                        ballObj.element.style.transition = 'opacity 0.5s ease';
-                        setTimeout(() => {
-                            if (ballObj.element && ballObj.element.parentNode) {
-                                ballObj.element.parentNode.removeChild(ballObj.element);
-                            }
-                        }, 500);
-                        ballObj.active = false;
-                    }
-                } else {
-                    ballObj.restingStartTime = null;
-                }
-            } else {
-                ballObj.restingStartTime = null;
-            }
+    // Pass a strength to tune scroll force, or false to switch it off
+    function setScrollForce(strength) {
+        scrollForce.enabled = strength !== false && strength !== 0;
+        if (typeof strength === 'number') scrollForce.strength = strength;
+    }
 
-            // Update element position using transform for better performance
-            ballObj.element.style.left = ballObj.x + 'px';
-            ballObj.element.style.top = ballObj.y + 'px';
+    // 'attract', 'repel' or 'off'
+    function setCursorMode(mode) {
+        if (cursorModes.includes(mode)) ballEngine.configure({ cursorMode: mode });
+        return ballEngine.options.cursorMode;
+    }
 
-            // Apply rotation if not in squash animation
-            if (!ballObj.element.style.transform.includes('scale')) {
-                ballObj.element.style.transform = `translate(-50%, -50%) rotate(${ballObj.rotation || 0}deg)`;
+    // Physics settings only; providers like getObstacles stay owned by this file
+    function setOptions(patch = {}) {
+        const settings = {};
+        Object.keys(patch).forEach((key) => {
+            if (key in BallPhysics.defaults && typeof patch[key] !== 'function') {
+                settings[key] = patch[key];
             }
         });
+        if (typeof settings.seed === 'number') {
+            ballEngine.reseed(settings.seed);
+            delete settings.seed;
+        }
+        ballEngine.configure(settings);
+        Object.keys(fullMotionSettings).forEach((key) => {
+            if (key in settings) fullMotionSettings[key] = settings[key];
+        });
+        applyMotionPolicy();
+        return getOptions();
+    }
 
-        // Remove inactive balls from array
-        for (let i = balls.length - 1; i >= 0; i--) {
-            if (!balls[i].active) {
-                balls.splice(i, 1);
+    function getOptions() {
+        const settings = {};
+        Object.keys(ballEngine.options).forEach((key) => {
+            if (typeof ballEngine.options[key] !== 'function') {
+                settings[key] = ballEngine.options[key];
             }
-        }
+        });
+        return settings;
+    }
 
-        if (balls.some(b => b.active)) {
-            requestAnimationFrame(animateAll);
-        } else {
-            animating = false;
+    window.MusaBalls = {
+        // Spawns at viewport coordinates, like a hero click; returns the new ball's id
+        // props may set { radius, mass } for this ball alone
+        spawn(x, y, vx, vy, variant, props) {
+            const ball = spawnBall(x, y, vx, vy, variant, props);
+            return ball ? ball.id : null;
+        },
+        clear: () => ballEngine.clear(),
+        pause() {
+            motion.userPaused = true;
+            applyMotionPolicy();
+        },
+        resume() {
+            motion.userPaused = false;
+            applyMotionPolicy();
+        },
+        isPaused: () => ballEngine.paused,
+        // Current inputs to the motion policy
+        getMotion: () => Object.assign({}, motion),
+        getBalls: () => ballEngine.balls.filter(ball => ball.active).map(describeBall),
+        setOptions,
+        getOptions,
+        setScrollForce,
+        setCursorMode,
+        setSound,
+        isSoundOn: () => !!(ballAudio && ballAudio.enabled),
+        startRecording,
+        stopRecording,
+        replay: replayRecording
+    };
+
+    // =========================================================================
+    // Spawn Zones - where balls come from
+    //   data-ball-spawn                  clicking inside launches a ball (the index hero is one)
+    //   data-ball-spawn="arc"            always that pattern: burst, straight, arc or random
+    //   <body data-ball-obstacle-spawn>  clicking an obstacle pops a ball off its top edge,
+    //                                    with the attribute's value as the pattern (arc if empty)
+    //   <body data-ball-ambient="5000">  drops a ball from the top every 5 seconds...
+    //   data-ball-ambient-limit="4"      ...while fewer than 4 are in play
+    // The spawning element sizes its balls with data-ball-radius and data-ball-mass
+    // =========================================================================
+    const spawnPatterns = ['burst', 'straight', 'arc', 'random'];
+    const obstacleSpawnSetting = document.body.dataset.ballObstacleSpawn;
+    const ambientInterval = parseNumber(document.body.dataset.ballAmbient, 0);
+    const ambientLimit = parseNumber(document.body.dataset.ballAmbientLimit, 4);
+
+    // Varied spawn patterns
+    function getPatternVelocity(pattern) {
+        const clickForce = 8 + spawnRandom() * 4; // 8-12 force
+
+        let vx, vy;
+
+        switch(pattern) {
+            case 'burst':
+                // Explode outward from click point
+                const burstAngle = spawnRandom() * Math.PI * 2;
+                vx = Math.cos(burstAngle) * clickForce;
+                vy = Math.sin(burstAngle) * clickForce;
+                break;
+            case 'straight':
+                // Straight down with slight variation
+                vx = (spawnRandom() - 0.5) * 2;
+                vy = clickForce;
+                break;
+            case 'arc':
+                // Arcing shot
+                vx = (spawnRandom() - 0.5) * clickForce * 1.5;
+                vy = -clickForce * 0.5; // Initial upward velocity
+                break;
+            default:
+                // Random direction
+                vx = (spawnRandom() - 0.5) * clickForce * 2;
+                vy = spawnRandom() * clickForce;
         }
+
+        return { vx, vy };
     }
 
-    // Spawn ball at position with velocity and optional color variant
-    function spawnBall(x, y, vx = 0, vy = 2, variant = 'normal') {
-        cleanupBalls();
+    function pickPattern() {
+        return spawnPatterns[Math.floor(spawnRandom() * spawnPatterns.length)];
+    }
 
-        const ball = createBall();
+    // Spawn ball with variety; picks a pattern at random unless given one
+    function spawnPattern(x, y, pattern = pickPattern(), props) {
+        const { vx, vy } = getPatternVelocity(pattern);
+        const variant = spawnRandom() > 0.7 ? 'fast' : 'normal';
 
-        // Add variety to ball appearance
-        if (variant === 'fast') {
-            ball.classList.add('high-velocity');
-        } else if (variant === 'slow') {
-            ball.classList.add('resting');
-        }
+        return spawnBall(x, y, vx, vy, variant, props);
+    }
 
-        const ballObj = {
-            element: ball,
-            x: x,
-            y: y,
-            vx: vx + (Math.random() - 0.5) * 6, // Increased randomness
-            vy: vy + (Math.random() - 0.5) * 4, // Increased randomness
-            active: true,
-            stopping: false,
-            rotation: Math.random() * 360,
-            spinSpeed: (Math.random() - 0.5) * 10 // Random spin speed
-        };
+    function getPatternSetting(value) {
+        return spawnPatterns.includes(value) ? value : undefined;
+    }
 
-        ball.style.left = ballObj.x + 'px';
-        ball.style.top = ballObj.y + 'px';
+    // Click in a spawn zone, or on an obstacle where the page allows it
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('a, button, input, textarea, select, label')) return;
 
-        balls.push(ballObj);
+        const zone = e.target.closest('[data-ball-spawn]');
+        if (zone) {
+            spawnPattern(e.clientX, e.clientY, getPatternSetting(zone.dataset.ballSpawn), getSpawnProps(zone));
+            return;
+        }
 
-        if (!animating) {
-            animating = true;
-            requestAnimationFrame(animateAll);
+        const obstacle = obstacleSpawnSetting !== undefined && e.target.closest('[data-ball-obstacle]');
+        if (obstacle) {
+            const rect = obstacle.getBoundingClientRect();
+            const props = getSpawnProps(obstacle);
+            const radius = props.radius || ballEngine.options.ballRadius;
+            spawnPattern(
+                e.clientX,
+                rect.top - radius,
+                getPatternSetting(obstacleSpawnSetting) || 'arc',
+                props
+            );
         }
+    });
+
+    function countBalls() {
+        return ballEngine.balls.filter(ball => ball.active).length;
+    }
 
-        return ballObj;
+    // Ambient drops skip a beat whenever the motion policy holds the layer back
+    function dropAmbientBall() {
+        const lowPower = motion.lowBattery || motion.slowFrames;
+        if (motion.hidden || motion.userPaused || motion.reducedMotion || lowPower) return;
+        if (countBalls() >= ambientLimit) return;
+
+        const radius = ballEngine.options.ballRadius;
+        const x = radius + spawnRandom() * (window.innerWidth - radius * 2);
+        spawnBall(x, radius, (spawnRandom() - 0.5) * 2, 0, spawnRandom() > 0.8 ? 'fast' : 'normal', getSpawnProps(document.body));
+    }
+
+    if (ambientInterval > 0) {
+        setInterval(dropAmbientBall, ambientInterval);
+    }
+
+    // =========================================================================
+    // Keyboard Launcher - a focusable stand-in for clicking the hero
+    //   Enter / Space   launch with a random pattern
+    //   B, S, A, R      launch a burst, straight, arc or random ball
+    //   Arrow keys      nudge every ball
+    //   C / Delete      clear all balls
+    // The ball layer itself stays aria-hidden; a live region says what happened
+    // =========================================================================
+    const launcherKeys = { b: 'burst', s: 'straight', a: 'arc', r: 'random' };
+    const nudgeKeys = {
+        ArrowLeft: { vx: -6, vy: 0, direction: 'left' },
+        ArrowRight: { vx: 6, vy: 0, direction: 'right' },
+        ArrowUp: { vx: 0, vy: -10, direction: 'up' }, // Has to beat gravity
+        ArrowDown: { vx: 0, vy: 6, direction: 'down' }
+    };
+    const announceDelay = 600; // ms - rapid key presses are summed up in one announcement
+
+    function plural(count, word) {
+        return count + ' ' + word + (count === 1 ? '' : 's');
     }
 
-    // Click in hero to spawn ball with variety
     if (hero) {
-        hero.addEventListener('click', (e) => {
-            if (e.target.closest('a, button')) return;
-
-            // Varied spawn patterns
-            const patterns = ['burst', 'straight', 'arc', 'random'];
-            const pattern = patterns[Math.floor(Math.random() * patterns.length)];
-
-            const clickForce = 8 + Math.random() * 4; // 8-12 force
-            const angle = (Math.random() - 0.5) * Math.PI / 2; // -45 to +45 degrees
-
-            let vx, vy;
-
-            switch(pattern) {
-                case 'burst':
-                    // Explode outward from click point
-                    const burstAngle = Math.random() * Math.PI * 2;
-                    vx = Math.cos(burstAngle) * clickForce;
-                    vy = Math.sin(burstAngle) * clickForce;
-                    break;
-                case 'straight':
-                    // Straight down with slight variation
-                    vx = (Math.random() - 0.5) * 2;
-                    vy = clickForce;
-                    break;
-                case 'arc':
-                    // Arcing shot
-                    vx = (Math.random() - 0.5) * clickForce * 1.5;
-                    vy = -clickForce * 0.5; // Initial upward velocity
-                    break;
-                default:
-                    // Random direction
-                    vx = (Math.random() - 0.5) * clickForce * 2;
-                    vy = Math.random() * clickForce;
+        const launcher = document.createElement('button');
+        launcher.type = 'button';
+        launcher.className = 'ball-launcher';
+        launcher.textContent = 'Launch a ball';
+        launcher.setAttribute('aria-keyshortcuts', 'B S A R ArrowLeft ArrowRight ArrowUp ArrowDown C Delete');
+
+        const hint = document.createElement('span');
+        hint.id = 'ball-launcher-hint';
+        hint.className = 'visually-hidden';
+        hint.textContent = 'Press B, S, A or R for a burst, straight, arc or random launch, arrow keys to nudge the balls, C to clear them.';
+        launcher.setAttribute('aria-describedby', hint.id);
+
+        const liveRegion = document.createElement('div');
+        liveRegion.className = 'visually-hidden';
+        liveRegion.setAttribute('aria-live', 'polite');
+
+        hero.appendChild(launcher);
+        hero.appendChild(hint);
+        hero.appendChild(liveRegion);
+
+        const pendingLaunches = [];
+        let pendingMessage = '';
+        let announceTimer = null;
+
+        function announce(message) {
+            if (message) pendingMessage = message;
+            clearTimeout(announceTimer);
+            announceTimer = setTimeout(() => {
+                const parts = [];
+                if (pendingLaunches.length) {
+                    parts.push(`Launched ${plural(pendingLaunches.length, 'ball')} (${pendingLaunches.join(', ')}).`);
+                }
+                if (pendingMessage) parts.push(pendingMessage);
+                parts.push(`${plural(countBalls(), 'ball')} in play.`);
+                liveRegion.textContent = parts.join(' ');
+                pendingLaunches.length = 0;
+                pendingMessage = '';
+            }, announceDelay);
+        }
+
+        // Launch from the upper middle of the hero, in viewport coordinates like a click
+        function launch(pattern = pickPattern()) {
+            const rect = hero.getBoundingClientRect();
+            const x = rect.left + rect.width / 2;
+            const y = rect.top + rect.height * 0.35;
+            const ball = spawnPattern(x, y, pattern, getSpawnProps(hero));
+            if (!ball) return;
+            pendingLaunches.push(pattern);
+            announce();
+        }
+
+        function nudge({ vx, vy, direction }) {
+            const count = countBalls();
+            if (count === 0) {
+                announce('No balls to nudge.');
+                return;
             }
+            ballEngine.impulse(vx, vy);
+            announce(`Nudged ${plural(count, 'ball')} ${direction}.`);
+        }
 
-            const variant = Math.random() > 0.7 ? 'fast' : 'normal';
+        function clearAll() {
+            const count = countBalls();
+            ballEngine.clear();
+            pendingLaunches.length = 0;
+            announce(count ? `Cleared ${plural(count, 'ball')}.` : 'No balls to clear.');
+        }
 
-            spawnBall(
-                e.pageX,
-                e.pageY,
-                vx,
-                vy,
-                variant
-            );
+        // Enter and Space arrive as clicks
+        launcher.addEventListener('click', () => launch());
+
+        launcher.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+            if (launcherKeys[key]) {
+                launch(launcherKeys[key]);
+            } else if (nudgeKeys[key]) {
+                nudge(nudgeKeys[key]);
+            } else if (key === 'c' || key === 'Delete') {
+                clearAll();
+            } else {
+                return;
+            }
+            e.preventDefault();
         });
     }
 
     // Note: Scroll-based ball spawning removed per user request
 
+    // =========================================================================
+    // Debug Overlay - ?debug loads debug.js on demand, so visitors never pay for it
+    // =========================================================================
+    if (pageParams.has('debug')) {
+        const debugScript = document.createElement('script');
+        debugScript.src = 'debug.js';
+        debugScript.onload = () => {
+            BallDebug.createDebugOverlay({
+                engine: ballEngine,
+                setOptions,
+                getObstacles,
+                getForceFields,
+                obstacleInsets,
+                // Re-reading obstacles picks up new insets straight away
+                onInsetsChange: invalidateObstacles,
+                getMotion: () => Object.assign({}, motion)
+            });
+        };
+        document.head.appendChild(debugScript);
+    }
+
     // =========================================================================
     // Smooth Scroll
     // =========================================================================
@@ -728,21 +1331,15 @@
 
     reveals.forEach(el => revealObserver.observe(el));
 
-    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+    if (motion.reducedMotion) {
         reveals.forEach(el => el.classList.add('revealed'));
     }
 
     // =========================================================================
     // Project Page Navigation with Smooth Transitions
     // =========================================================================
-    const workItems = document.querySelectorAll('.work-item');
-
-    const projectLinks = {
-        'MoneyUp': 'moneyup.html',
-        'Would You Rather': 'wouldyourather.html',
-        'FoundersFlow': 'foundersflow.html'
-    };
-
+    // Work items are rendered from projects.json by catalogue.js, which
+    // announces them once they are in the grid
     // Staggered entrance animation for work items
     const workObserver = new IntersectionObserver((entries) => {
         entries.forEach((entry, index) => {
@@ -759,7 +1356,7 @@
         rootMargin: '0px 0px -80px 0px'
     });
 
-    workItems.forEach((item, index) => {
+    function setupWorkItem(item, index) {
         // Set initial state for stagger animation
         item.style.opacity = '0';
         item.style.transform = 'translateY(40px)';
@@ -770,13 +1367,14 @@
         item.addEventListener('click', (e) => {
             e.preventDefault();
 
-            const projectTitle = item.querySelector('.work-title').textContent.trim();
-            const projectUrl = projectLinks[projectTitle];
-
-            if (projectUrl) {
-                window.location.href = projectUrl;
+            if (item.dataset.href) {
+                window.location.href = item.dataset.href;
             }
         });
+    }
+
+    document.addEventListener('projects:rendered', (e) => {
+        e.detail.items.forEach(setupWorkItem);
     });
 
     // =========================================================================
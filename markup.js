@@ -0,0 +1,36 @@
+/**
+ * Musa Studio — Markup Helpers
+ * The small DOM builders catalogue.js and casestudy.js share; load it before either
+ */
+
+(function() {
+    'use strict';
+
+    function createElement(tag, className, attributes = {}) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        Object.keys(attributes).forEach(name => {
+            element.setAttribute(name, attributes[name]);
+        });
+        return element;
+    }
+
+    // Missing children (null, undefined) are skipped, so optional parts can be passed inline
+    function append(parent, ...children) {
+        children.filter(Boolean).forEach(child => parent.appendChild(child));
+        return parent;
+    }
+
+    function createText(tag, className, text, attributes) {
+        const element = createElement(tag, className, attributes);
+        element.textContent = text;
+        return element;
+    }
+
+    window.Markup = {
+        createElement,
+        append,
+        createText
+    };
+
+})();
@@ -0,0 +1,2025 @@
+/**
+ * Musa Studio — Ball Physics Engine
+ * Standalone kinetic simulation: integration, collisions and lifecycle
+ * No DOM access, so the same engine runs in the browser and in Node
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BallPhysics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const noop = () => {};
+    const frameDuration = 1000 / 60;
+
+    // =========================================================================
+    // Defaults - every constant can be overridden per engine instance
+    // =========================================================================
+    const defaults = {
+        maxBalls: 15,
+        gravity: 0.7,
+        airResistance: 0.995,
+        bounceFactor: 0.6,
+        ballBounceFactor: 0.5,
+        ballRadius: 12,
+        stopVelocity: 0.15,
+        maxVelocity: 35,
+        magneticRadius: 150, // Cursor magnetic field radius
+        magneticStrength: 0.3,
+        cursorMode: 'attract', // 'attract', 'repel' or 'off'
+        dragFollow: 0.6, // Share of the gap to the pointer a held ball closes per frame
+        maskAlphaThreshold: 10,
+        restDuration: 3000, // Asleep this long, on the floor or anywhere else, removes the ball; 0 keeps it
+        sleepDelay: 500, // Still this long (ms), a ball sleeps until something disturbs it
+        wakeSpeed: 1, // Closing speed that counts as a hit: it bounces, reports and wakes sleepers
+        solverIterations: 4, // Velocity passes over the ball contacts per sub-step
+        ballFriction: 0.3, // Ball on ball grip, as a share of the contact force
+        surfaceFriction: 0.2, // Floor and obstacle grip, as a share of how hard the ball presses on them
+        contactSlop: 0.5, // px of overlap left alone so resting contacts stay in touch
+        stickDuration: 1500, // A sticky surface holds a ball this long, then ignores it as long again
+        offscreenMargin: 200,
+        obstacleCacheDuration: 100, // Cache obstacles for 100ms to reduce DOM queries; Infinity waits for invalidateObstacles()
+        wakeOnObstacleChange: true, // Re-read obstacles wake the sleepers near any that appeared, moved or went
+        timestep: 1, // Fixed physics step, in 60fps frames
+        subSteps: 4, // Collision passes per fixed step
+        maxFrameSteps: 4, // Most fixed steps one slow frame may catch up on
+        cellSize: 64, // Broad phase grid cell, never smaller than one ball diameter
+        seed: null, // Set to make spawn jitter and collision spin reproducible
+        random: Math.random,
+
+        // Environment providers, supplied by whoever mounts the engine
+        getObstacles: () => [],
+        getForceFields: () => [],
+        getBounds: () => ({ width: Infinity, height: Infinity }),
+        getCursor: () => null,
+        requestFrame: typeof requestAnimationFrame === 'function'
+            ? (callback) => requestAnimationFrame(callback)
+            : null
+    };
+
+    // =========================================================================
+    // Seeded Random - mulberry32, a small generator with a 32-bit state
+    // =========================================================================
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    function createRandom(seed = randomSeed()) {
+        let state = seed >>> 0;
+
+        function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        random.seed = seed >>> 0;
+        return random;
+    }
+
+    // =========================================================================
+    // Spatial Hash - uniform grid broad phase for balls and obstacles
+    // Items are stored by index so callers keep their own iteration order
+    // =========================================================================
+    const maxCachedCells = 4096;
+
+    function createSpatialHash(cellSize) {
+        const cells = new Map();
+
+        // Exact for +/-32768 cells, far beyond any viewport
+        function keyFor(cx, cy) {
+            return (cx + 32768) * 65536 + (cy + 32768);
+        }
+
+        function insert(index, left, top, right, bottom) {
+            if (!isFinite(left) || !isFinite(top) || !isFinite(right) || !isFinite(bottom)) return;
+
+            const x0 = Math.floor(left / cellSize);
+            const x1 = Math.floor(right / cellSize);
+            const y0 = Math.floor(top / cellSize);
+            const y1 = Math.floor(bottom / cellSize);
+
+            for (let cx = x0; cx <= x1; cx++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    const key = keyFor(cx, cy);
+                    let cell = cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        cells.set(key, cell);
+                    }
+                    cell.push(index);
+                }
+            }
+        }
+
+        // Collect the sorted, de-duplicated indices of everything near an area
+        function query(left, top, right, bottom, results = []) {
+            results.length = 0;
+
+            const x0 = Math.floor(left / cellSize);
+            const x1 = Math.floor(right / cellSize);
+            const y0 = Math.floor(top / cellSize);
+            const y1 = Math.floor(bottom / cellSize);
+
+            for (let cx = x0; cx <= x1; cx++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    const cell = cells.get(keyFor(cx, cy));
+                    if (cell) {
+                        for (let i = 0; i < cell.length; i++) results.push(cell[i]);
+                    }
+                }
+            }
+
+            if (results.length > 1) {
+                results.sort((a, b) => a - b);
+                let unique = 1;
+                for (let i = 1; i < results.length; i++) {
+                    if (results[i] !== results[unique - 1]) results[unique++] = results[i];
+                }
+                results.length = unique;
+            }
+            return results;
+        }
+
+        // Reuse cell arrays between frames unless the grid has grown large
+        function clear() {
+            if (cells.size > maxCachedCells) {
+                cells.clear();
+            } else {
+                cells.forEach(cell => { cell.length = 0; });
+            }
+        }
+
+        return { cellSize, insert, query, clear };
+    }
+
+    // =========================================================================
+    // Ball Size & Obstacle Materials
+    // =========================================================================
+    // Balls spawned without a size or mass follow the engine-wide ballRadius
+    function getBallRadius(ballObj, options) {
+        return ballObj.radius || options.ballRadius;
+    }
+
+    // Mass grows with area unless given, so a default ball weighs 1
+    function getBallMass(ballObj, options) {
+        if (ballObj.mass) return ballObj.mass;
+        const scale = getBallRadius(ballObj, options) / options.ballRadius;
+        return scale * scale;
+    }
+
+    // material.restitution replaces bounceFactor for one obstacle
+    function getRestitution(obs, options) {
+        const material = obs.material;
+        return material && typeof material.restitution === 'number' ? material.restitution : options.bounceFactor;
+    }
+
+    // material.friction is the share of sliding speed lost on each contact, 0 to 1
+    function getFriction(obs) {
+        const material = obs.material;
+        return material && typeof material.friction === 'number' ? material.friction : 0;
+    }
+
+    // Slow the sliding component by up to surfaceFriction times the pressure into the
+    // surface, so a ball carrying a stack grips harder than one rolling past
+    function applySurfaceGrip(ballObj, nx, ny, pressure, options) {
+        const tangent = ballObj.vx * -ny + ballObj.vy * nx;
+        const grip = Math.min(Math.abs(tangent), pressure * options.surfaceFriction);
+        const change = Math.sign(tangent) * grip;
+        ballObj.vx -= change * -ny;
+        ballObj.vy -= change * nx;
+    }
+
+    // Only a real hit bounces; a ball merely resting on the surface is held there
+    function getBounceSpeed(speed, bounceFactor, options) {
+        return speed > options.wakeSpeed ? speed * bounceFactor : 0;
+    }
+
+    // Surfaces the ball was pushed out of this sub-step, as outward normals; the next
+    // contact solve treats them as solid, so a pile's weight ends up on what holds it
+    function addSupport(ballObj, nx, ny) {
+        (ballObj.supports || (ballObj.supports = [])).push(nx, ny);
+    }
+
+    // Sticky and absorbing surfaces only mark the ball; the engine acts on the mark
+    function applyMaterialBehavior(ballObj, obs) {
+        const behavior = obs.material && obs.material.behavior;
+        if (behavior === 'absorb') {
+            ballObj.absorbedBy = obs;
+        } else if (behavior === 'sticky') {
+            ballObj.stickTo = obs;
+        }
+    }
+
+    // =========================================================================
+    // Collision Responses
+    // =========================================================================
+    // Push the ball out through one face of a rect obstacle and bounce it
+    function bounceOffRect(ballObj, obs, side, options, emit) {
+        const { stopVelocity, maxVelocity } = options;
+        const ballRadius = getBallRadius(ballObj, options);
+        const bounceFactor = getRestitution(obs, options);
+        const grip = 1 - getFriction(obs);
+
+        // Speed into the face that was hit, and that face's outward normal
+        const speed = Math.abs(side === 'left' || side === 'right' ? ballObj.vx : ballObj.vy);
+        const nx = side === 'left' ? -1 : side === 'right' ? 1 : 0;
+        const ny = side === 'top' ? -1 : side === 'bottom' ? 1 : 0;
+        addSupport(ballObj, nx, ny);
+
+        // Only real hits are reported, like wall hits; a resting ball is not
+        if (speed > options.wakeSpeed) {
+            emit('impact', { ball: ballObj, duration: 200 });
+            emit('obstacle-hit', { ball: ballObj, obstacle: obs, speed, nx, ny });
+        }
+        applyMaterialBehavior(ballObj, obs);
+
+        applySurfaceGrip(ballObj, nx, ny, speed, options);
+        if (side === 'left' || side === 'right') {
+            ballObj.vy *= grip;
+            if (side === 'left') {
+                ballObj.x = obs.left - ballRadius;
+                ballObj.vx = -getBounceSpeed(speed, bounceFactor, options);
+            } else {
+                ballObj.x = obs.right + ballRadius;
+                ballObj.vx = getBounceSpeed(speed, bounceFactor, options);
+            }
+            if (Math.abs(ballObj.vx) < stopVelocity) {
+                ballObj.vx = 0;
+            }
+            // Add rotation on side collision
+            ballObj.rotation = (ballObj.rotation || 0) + ballObj.vx * 2;
+        } else {
+            ballObj.vx *= grip;
+            if (side === 'top') {
+                ballObj.y = obs.top - ballRadius;
+                ballObj.vy = -getBounceSpeed(speed, bounceFactor, options);
+                emit('squash', {
+                    ball: ballObj,
+                    force: Math.min(Math.abs(ballObj.vy) / maxVelocity, 1)
+                });
+            } else {
+                ballObj.y = obs.bottom + ballRadius;
+                ballObj.vy = getBounceSpeed(speed, bounceFactor, options);
+            }
+            if (Math.abs(ballObj.vy) < stopVelocity) {
+                ballObj.vy = 0;
+            }
+        }
+    }
+
+    function checkRectCollision(ballObj, obs, options = defaults, emit = noop) {
+        if (obs.type !== 'rect') return false;
+
+        const ballRadius = getBallRadius(ballObj, options);
+        const { x, y } = ballObj;
+        const ballLeft = x - ballRadius;
+        const ballRight = x + ballRadius;
+        const ballTop = y - ballRadius;
+        const ballBottom = y + ballRadius;
+
+        if (ballRight > obs.left && ballLeft < obs.right &&
+            ballBottom > obs.top && ballTop < obs.bottom) {
+
+            const overlapLeft = ballRight - obs.left;
+            const overlapRight = obs.right - ballLeft;
+            const overlapTop = ballBottom - obs.top;
+            const overlapBottom = obs.bottom - ballTop;
+
+            const minOverlapX = Math.min(overlapLeft, overlapRight);
+            const minOverlapY = Math.min(overlapTop, overlapBottom);
+
+            if (minOverlapX < minOverlapY) {
+                bounceOffRect(ballObj, obs, overlapLeft < overlapRight ? 'left' : 'right', options, emit);
+            } else {
+                bounceOffRect(ballObj, obs, overlapTop < overlapBottom ? 'top' : 'bottom', options, emit);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // Continuous test: did the path from prevX/prevY cross into the rect this sub-step?
+    // Catches fast balls that would otherwise step clean over a thin obstacle
+    function sweepRectCollision(ballObj, obs, options = defaults, emit = noop) {
+        if (obs.type !== 'rect' || ballObj.prevX === undefined) return false;
+
+        // Sweep the ball centre against the rect grown by the radius
+        const ballRadius = getBallRadius(ballObj, options);
+        const left = obs.left - ballRadius;
+        const right = obs.right + ballRadius;
+        const top = obs.top - ballRadius;
+        const bottom = obs.bottom + ballRadius;
+        const x0 = ballObj.prevX;
+        const y0 = ballObj.prevY;
+
+        // Already overlapping at the start - the overlap response handles it
+        if (x0 > left && x0 < right && y0 > top && y0 < bottom) return false;
+
+        const dx = ballObj.x - x0;
+        const dy = ballObj.y - y0;
+        let tEnter = 0;
+        let tExit = 1;
+        let side = null;
+
+        if (dx === 0) {
+            if (x0 <= left || x0 >= right) return false;
+        } else {
+            const tLeft = (left - x0) / dx;
+            const tRight = (right - x0) / dx;
+            const tNear = Math.min(tLeft, tRight);
+            if (tNear > tEnter) {
+                tEnter = tNear;
+                side = dx > 0 ? 'left' : 'right';
+            }
+            tExit = Math.min(tExit, Math.max(tLeft, tRight));
+        }
+
+        if (dy === 0) {
+            if (y0 <= top || y0 >= bottom) return false;
+        } else {
+            const tTop = (top - y0) / dy;
+            const tBottom = (bottom - y0) / dy;
+            const tNear = Math.min(tTop, tBottom);
+            if (tNear > tEnter) {
+                tEnter = tNear;
+                side = dy > 0 ? 'top' : 'bottom';
+            }
+            tExit = Math.min(tExit, Math.max(tTop, tBottom));
+        }
+
+        if (!side || tEnter > tExit) return false;
+
+        // Rewind to the moment of contact, then respond on the face that was hit
+        ballObj.x = x0 + dx * tEnter;
+        ballObj.y = y0 + dy * tEnter;
+        bounceOffRect(ballObj, obs, side, options, emit);
+        return true;
+    }
+
+    // =========================================================================
+    // Shaped Obstacles - circle, rounded rect and polygon
+    // Each shape reports a signed distance (negative inside) and the outward normal
+    // =========================================================================
+    function circleDistance(obs, x, y) {
+        const dx = x - obs.cx;
+        const dy = y - obs.cy;
+        const dist = Math.hypot(dx, dy);
+        if (dist === 0) return { distance: -obs.radius, nx: 0, ny: -1 };
+        return { distance: dist - obs.radius, nx: dx / dist, ny: dy / dist };
+    }
+
+    function roundRectDistance(obs, x, y) {
+        const halfWidth = (obs.right - obs.left) / 2;
+        const halfHeight = (obs.bottom - obs.top) / 2;
+        const radius = Math.min(obs.radius || 0, halfWidth, halfHeight);
+        const px = x - (obs.left + halfWidth);
+        const py = y - (obs.top + halfHeight);
+
+        // Distance beyond the rect shrunk by the corner radius
+        const qx = Math.abs(px) - (halfWidth - radius);
+        const qy = Math.abs(py) - (halfHeight - radius);
+
+        if (qx > 0 && qy > 0) {
+            // Corner arc
+            const cornerDist = Math.hypot(qx, qy);
+            return {
+                distance: cornerDist - radius,
+                nx: Math.sign(px) * qx / cornerDist,
+                ny: Math.sign(py) * qy / cornerDist
+            };
+        }
+
+        // Straight edge - whichever axis is nearer its face
+        if (qx > qy) {
+            return { distance: qx - radius, nx: Math.sign(px) || 1, ny: 0 };
+        }
+        return { distance: qy - radius, nx: 0, ny: Math.sign(py) || -1 };
+    }
+
+    // Works for concave outlines too: nearest edge for distance, crossings for inside
+    function polygonDistance(obs, x, y) {
+        const points = obs.points;
+        let bestDistSq = Infinity;
+        let closestX = x;
+        let closestY = y;
+        let inside = false;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [ax, ay] = points[j];
+            const [bx, by] = points[i];
+            const ex = bx - ax;
+            const ey = by - ay;
+            const lengthSq = ex * ex + ey * ey;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * ex + (y - ay) * ey) / lengthSq)) : 0;
+            const cx = ax + ex * t;
+            const cy = ay + ey * t;
+            const distSq = (x - cx) * (x - cx) + (y - cy) * (y - cy);
+
+            if (distSq < bestDistSq) {
+                bestDistSq = distSq;
+                closestX = cx;
+                closestY = cy;
+            }
+
+            if ((ay > y) !== (by > y) && x < ax + (y - ay) * ex / ey) {
+                inside = !inside;
+            }
+        }
+
+        const dist = Math.sqrt(bestDistSq);
+        if (dist === 0) return { distance: 0, nx: 0, ny: -1 };
+
+        const sign = inside ? -1 : 1;
+        return {
+            distance: dist * sign,
+            nx: (x - closestX) / dist * sign,
+            ny: (y - closestY) / dist * sign
+        };
+    }
+
+    const shapeDistances = {
+        circle: circleDistance,
+        roundrect: roundRectDistance,
+        polygon: polygonDistance
+    };
+
+    // Push the ball out along a surface normal and bounce the approaching component
+    function bounceOffSurface(ballObj, obs, nx, ny, penetration, options, emit, impactDuration) {
+        const { stopVelocity, maxVelocity } = options;
+        const bounceFactor = getRestitution(obs, options);
+        const friction = getFriction(obs);
+
+        ballObj.x += nx * penetration;
+        ballObj.y += ny * penetration;
+        addSupport(ballObj, nx, ny);
+        applyMaterialBehavior(ballObj, obs);
+
+        const vDot = ballObj.vx * nx + ballObj.vy * ny;
+        if (vDot >= 0) return;
+
+        // Friction bleeds off part of the sliding component
+        const tangent = ballObj.vx * -ny + ballObj.vy * nx;
+        ballObj.vx -= tangent * -ny * friction;
+        ballObj.vy -= tangent * nx * friction;
+        applySurfaceGrip(ballObj, nx, ny, -vDot, options);
+
+        // Reflect only the approaching component, scaled by restitution
+        const normalSpeed = getBounceSpeed(-vDot, bounceFactor, options);
+        ballObj.vx -= (vDot - normalSpeed) * nx;
+        ballObj.vy -= (vDot - normalSpeed) * ny;
+
+        if (normalSpeed < stopVelocity) {
+            ballObj.vx -= normalSpeed * nx;
+            ballObj.vy -= normalSpeed * ny;
+        }
+
+        // Tangential speed sets the spin, like a side hit on a rect
+        ballObj.rotation = (ballObj.rotation || 0) + (ballObj.vx * -ny + ballObj.vy * nx) * 2;
+
+        if (-vDot > options.wakeSpeed) {
+            emit('impact', { ball: ballObj, duration: impactDuration });
+            emit('obstacle-hit', { ball: ballObj, obstacle: obs, speed: -vDot, nx, ny });
+        }
+
+        // Landing on an upward-facing surface
+        if (ny < -0.7) {
+            emit('squash', {
+                ball: ballObj,
+                force: Math.min(normalSpeed / maxVelocity, 1)
+            });
+        }
+    }
+
+    function checkShapeCollision(ballObj, obs, options = defaults, emit = noop) {
+        const getDistance = shapeDistances[obs.type];
+        if (!getDistance) return false;
+
+        const ballRadius = getBallRadius(ballObj, options);
+        const { distance, nx, ny } = getDistance(obs, ballObj.x, ballObj.y);
+        if (distance >= ballRadius) return false;
+
+        bounceOffSurface(ballObj, obs, nx, ny, ballRadius - distance, options, emit, 200);
+        return true;
+    }
+
+    // =========================================================================
+    // Mask Distance Fields - built once per image, sampled every collision
+    // Distances are in field samples, positive outside the opaque shape
+    // =========================================================================
+    const farAway = 1e20;
+
+    // Felzenszwalb & Huttenlocher's exact 1D squared distance transform
+    function distanceTransform1D(f, n, d, v, z) {
+        let k = 0;
+        v[0] = 0;
+        z[0] = -farAway;
+        z[1] = farAway;
+
+        for (let q = 1; q < n; q++) {
+            let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            while (s <= z[k]) {
+                k--;
+                s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            }
+            k++;
+            v[k] = q;
+            z[k] = s;
+            z[k + 1] = farAway;
+        }
+
+        k = 0;
+        for (let q = 0; q < n; q++) {
+            while (z[k + 1] < q) k++;
+            d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+        }
+    }
+
+    // Squared distance to the nearest zero cell, columns then rows, in place
+    function distanceTransform(grid, width, height) {
+        const size = Math.max(width, height);
+        const f = new Float64Array(size);
+        const d = new Float64Array(size);
+        const v = new Int32Array(size);
+        const z = new Float64Array(size + 1);
+
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+            distanceTransform1D(f, height, d, v, z);
+            for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+        }
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) f[x] = grid[row + x];
+            distanceTransform1D(f, width, d, v, z);
+            for (let x = 0; x < width; x++) grid[row + x] = d[x];
+        }
+    }
+
+    // data is RGBA pixels, as returned by getImageData
+    function buildDistanceField(data, width, height, threshold = defaults.maskAlphaThreshold) {
+        const count = width * height;
+        const outside = new Float64Array(count);
+        const inside = new Float64Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const opaque = data[i * 4 + 3] > threshold;
+            outside[i] = opaque ? 0 : farAway;
+            inside[i] = opaque ? farAway : 0;
+        }
+
+        distanceTransform(outside, width, height);
+        distanceTransform(inside, width, height);
+
+        // The surface sits half a sample between an opaque cell and a clear one
+        const distance = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            distance[i] = outside[i] > 0 ? Math.sqrt(outside[i]) - 0.5 : 0.5 - Math.sqrt(inside[i]);
+        }
+
+        // Central-difference gradients give the outward normal everywhere
+        const gradX = new Float32Array(count);
+        const gradY = new Float32Array(count);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const gx = distance[y * width + Math.min(width - 1, x + 1)] - distance[y * width + Math.max(0, x - 1)];
+                const gy = distance[Math.min(height - 1, y + 1) * width + x] - distance[Math.max(0, y - 1) * width + x];
+                const length = Math.hypot(gx, gy);
+                gradX[i] = length > 0 ? gx / length : 0;
+                gradY[i] = length > 0 ? gy / length : -1;
+            }
+        }
+
+        return { width, height, distance, gradX, gradY };
+    }
+
+    // Bilinear sample of distance and normal at a point in field coordinates
+    function sampleDistanceField(field, fx, fy) {
+        const { width, height } = field;
+        const x0 = Math.max(0, Math.min(width - 1, Math.floor(fx)));
+        const y0 = Math.max(0, Math.min(height - 1, Math.floor(fy)));
+        const x1 = Math.min(width - 1, x0 + 1);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const tx = Math.max(0, Math.min(1, fx - x0));
+        const ty = Math.max(0, Math.min(1, fy - y0));
+
+        const mix = (values) => {
+            const top = values[y0 * width + x0] * (1 - tx) + values[y0 * width + x1] * tx;
+            const bottom = values[y1 * width + x0] * (1 - tx) + values[y1 * width + x1] * tx;
+            return top * (1 - ty) + bottom * ty;
+        };
+
+        let nx = mix(field.gradX);
+        let ny = mix(field.gradY);
+        const length = Math.hypot(nx, ny);
+        if (length > 0) {
+            nx /= length;
+            ny /= length;
+        } else {
+            nx = 0;
+            ny = -1;
+        }
+
+        return { distance: mix(field.distance), nx, ny };
+    }
+
+    function checkMaskCollision(ballObj, obs, options = defaults, emit = noop) {
+        if (obs.type !== 'mask') return false;
+
+        const ballRadius = getBallRadius(ballObj, options);
+        const { x, y } = ballObj;
+
+        if (x + ballRadius < obs.left || x - ballRadius > obs.right ||
+            y + ballRadius < obs.top || y - ballRadius > obs.bottom) {
+            return false;
+        }
+
+        const field = obs.mask;
+        const scaleX = obs.width / field.width;
+        const scaleY = obs.height / field.height;
+
+        // Field samples are centred half a sample in from the image edge
+        const fx = (x - obs.left) / scaleX - 0.5;
+        const fy = (y - obs.top) / scaleY - 0.5;
+        const cx = Math.max(0, Math.min(field.width - 1, fx));
+        const cy = Math.max(0, Math.min(field.height - 1, fy));
+        const sample = sampleDistanceField(field, cx, cy);
+
+        // Beyond the image edge, add the gap back on to the edge sample
+        const distance = sample.distance * (scaleX + scaleY) / 2 +
+            Math.hypot((fx - cx) * scaleX, (fy - cy) * scaleY);
+
+        if (distance >= ballRadius) {
+            return false;
+        }
+
+        bounceOffSurface(ballObj, obs, sample.nx, sample.ny, ballRadius - distance, options, emit, 150);
+        return true;
+    }
+
+    // =========================================================================
+    // Contact Solver - every touching pair is gathered, then solved together
+    // Sequential impulses with accumulated clamping let stacks carry their weight
+    // instead of sinking into each other, and friction stops them sliding apart
+    // Each pair starts from the impulses it ended the last sub-step with (warm
+    // starting), so a resting pile holds still instead of sagging every sub-step
+    // =========================================================================
+    function createBallContact(a, b, options = defaults) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const minDist = getBallRadius(a, options) + getBallRadius(b, options);
+        const reach = minDist + options.contactSlop;
+        const distSq = dx * dx + dy * dy;
+        if (distSq >= reach * reach) return null;
+
+        // Lighter balls give way more; held, stuck and sleeping balls push but are never pushed
+        const inverseMassA = a.held || a.stuck || a.sleeping ? 0 : 1 / getBallMass(a, options);
+        const inverseMassB = b.held || b.stuck || b.sleeping ? 0 : 1 / getBallMass(b, options);
+        const inverseMass = inverseMassA + inverseMassB;
+        if (inverseMass === 0) return null;
+
+        const dist = Math.sqrt(distSq);
+        // Exactly on top of each other - separate them vertically
+        const nx = dist > 0 ? dx / dist : 0;
+        const ny = dist > 0 ? dy / dist : 1;
+
+        return {
+            a,
+            b,
+            nx,
+            ny,
+            minDist,
+            inverseMassA,
+            inverseMassB,
+            inverseMass,
+            // Relative speed along the normal before solving; negative while closing
+            approach: (b.vx - a.vx) * nx + (b.vy - a.vy) * ny,
+            normalImpulse: 0,
+            tangentImpulse: 0
+        };
+    }
+
+    // Events and spin for a pair that actually hit, rather than one just resting together
+    function reportBallImpact(contact, options, emit) {
+        const { a, b, nx, ny } = contact;
+        const { random } = options;
+
+        emit('collision', { a, b, speed: -contact.approach, nx, ny });
+
+        // Visual feedback on ball collision
+        emit('impact', { ball: a, other: b, duration: 150 });
+        emit('impact', { ball: b, other: a, duration: 150 });
+
+        // Add spin to both balls
+        const spinTransfer = 5;
+        a.rotation = (a.rotation || 0) + spinTransfer * (random() - 0.5);
+        b.rotation = (b.rotation || 0) + spinTransfer * (random() - 0.5);
+    }
+
+    function applyContactImpulse(contact, ix, iy) {
+        const { a, b, inverseMassA, inverseMassB } = contact;
+        a.vx -= ix * inverseMassA;
+        a.vy -= iy * inverseMassA;
+        b.vx += ix * inverseMassB;
+        b.vy += iy * inverseMassB;
+    }
+
+    // Share of last sub-step's impulses a pair starts from; all of it overshoots,
+    // since the position pass has already pushed the pair apart
+    const warmStartShare = 0.7;
+
+    // Re-apply most of what a pair that was already touching pushed with last time
+    function warmStartContact(contact, previous) {
+        const { nx, ny } = contact;
+        contact.normalImpulse = previous.normalImpulse * warmStartShare;
+        contact.tangentImpulse = previous.tangentImpulse * warmStartShare;
+        applyContactImpulse(contact,
+            contact.normalImpulse * nx - contact.tangentImpulse * ny,
+            contact.normalImpulse * ny + contact.tangentImpulse * nx
+        );
+    }
+
+    // One velocity iteration: push apart along the normal, then resist sliding
+    function solveContactVelocity(contact, options = defaults) {
+        const { a, b, nx, ny, inverseMass } = contact;
+
+        // Only real hits bounce; resting contacts aim for zero closing speed
+        const target = contact.approach < -options.wakeSpeed ? -contact.approach * options.ballBounceFactor : 0;
+        const normalSpeed = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+        const normalTotal = Math.max(contact.normalImpulse + (target - normalSpeed) / inverseMass, 0);
+        const normalStep = normalTotal - contact.normalImpulse;
+        contact.normalImpulse = normalTotal;
+        applyContactImpulse(contact, normalStep * nx, normalStep * ny);
+
+        // Friction can only hold as hard as the contact is pressed together
+        const tx = -ny;
+        const ty = nx;
+        const tangentSpeed = (b.vx - a.vx) * tx + (b.vy - a.vy) * ty;
+        const maxFriction = options.ballFriction * contact.normalImpulse;
+        const tangentTotal = Math.max(-maxFriction, Math.min(maxFriction, contact.tangentImpulse - tangentSpeed / inverseMass));
+        const tangentStep = tangentTotal - contact.tangentImpulse;
+        contact.tangentImpulse = tangentTotal;
+        applyContactImpulse(contact, tangentStep * tx, tangentStep * ty);
+    }
+
+    // A surface only pushes: it cancels the speed into it and never pulls the ball back
+    function solveSupportVelocity(support) {
+        const { ball, nx, ny } = support;
+        const normalSpeed = ball.vx * nx + ball.vy * ny;
+        const normalTotal = Math.max(support.normalImpulse - normalSpeed, 0);
+        const normalStep = normalTotal - support.normalImpulse;
+        support.normalImpulse = normalTotal;
+        ball.vx += normalStep * nx;
+        ball.vy += normalStep * ny;
+    }
+
+    // Move overlapping balls apart, leaving a little overlap so resting contacts stay in touch
+    function solveContactPosition(contact, options = defaults) {
+        const { a, b, minDist, inverseMassA, inverseMassB, inverseMass } = contact;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const depth = minDist - dist - options.contactSlop;
+        if (depth <= 0) return;
+
+        const nx = dist > 0 ? dx / dist : contact.nx;
+        const ny = dist > 0 ? dy / dist : contact.ny;
+        const correction = depth * 0.8 / inverseMass;
+        a.x -= nx * correction * inverseMassA;
+        a.y -= ny * correction * inverseMassA;
+        b.x += nx * correction * inverseMassB;
+        b.y += ny * correction * inverseMassB;
+    }
+
+    // A single pair solved on its own, outside an engine step
+    function resolveBallCollision(a, b, options = defaults, emit = noop) {
+        const contact = createBallContact(a, b, options);
+        if (!contact) return false;
+        if (contact.approach < -options.wakeSpeed) {
+            reportBallImpact(contact, options, emit);
+        }
+        for (let i = 0; i < options.solverIterations; i++) {
+            solveContactVelocity(contact, options);
+        }
+        solveContactPosition(contact, options);
+        return true;
+    }
+
+    // Clamp velocity, remembering the unclamped speed for visual effects
+    function clampVelocity(ballObj, options = defaults) {
+        const { maxVelocity } = options;
+        const speed = Math.sqrt(ballObj.vx * ballObj.vx + ballObj.vy * ballObj.vy);
+        ballObj.speed = speed;
+
+        if (speed > maxVelocity) {
+            const scale = maxVelocity / speed;
+            ballObj.vx *= scale;
+            ballObj.vy *= scale;
+        }
+    }
+
+    // Apply cursor magnetic field to ball; cursorMode flips or disables it
+    // Returns whether the field reached the ball
+    function applyCursorMagnetism(ballObj, cursor, options = defaults, deltaTime = 1) {
+        const { magneticRadius, magneticStrength, cursorMode } = options;
+        if (!cursor || cursorMode === 'off') return false;
+
+        const dx = cursor.x - ballObj.x;
+        const dy = cursor.y - ballObj.y;
+        const distanceSq = dx * dx + dy * dy;
+        const magneticRadiusSq = magneticRadius * magneticRadius;
+
+        if (distanceSq < magneticRadiusSq && distanceSq > 25) { // Prevent division by zero and extreme forces
+            const distance = Math.sqrt(distanceSq);
+            const force = (1 - distance / magneticRadius) * magneticStrength;
+            const angle = Math.atan2(dy, dx);
+
+            // Attract ball to cursor (or push it away) with damping
+            const scale = (cursorMode === 'repel' ? -1 : 1) / getBallMass(ballObj, options);
+            const forceX = Math.cos(angle) * force * scale;
+            const forceY = Math.sin(angle) * force * scale;
+
+            // Apply force with velocity damping to prevent runaway acceleration
+            ballObj.vx += forceX * 0.8 * deltaTime;
+            ballObj.vy += forceY * 0.8 * deltaTime;
+            return true;
+        }
+        return false;
+    }
+
+    // =========================================================================
+    // Force Fields - picked up from the environment like obstacles
+    //   attract / repel  { x, y, radius, strength }  fades out towards the radius
+    //   well             { x, y, radius, strength }  inverse-square pull, softened at the core
+    //   wind             { left, top, right, bottom, angle, strength }  steady push in a box
+    // Forces are divided by mass, so heavy balls drift less
+    // =========================================================================
+    const wellSoftening = 24; // px - inside this a well pulls at full strength instead of blowing up
+
+    function applyForceField(ballObj, field, options = defaults, deltaTime = 1) {
+        let forceX;
+        let forceY;
+
+        if (field.type === 'wind') {
+            if (ballObj.x < field.left || ballObj.x > field.right ||
+                ballObj.y < field.top || ballObj.y > field.bottom) {
+                return false;
+            }
+            const angle = (field.angle || 0) * Math.PI / 180; // 0 blows right, 90 blows down
+            forceX = Math.cos(angle) * field.strength;
+            forceY = Math.sin(angle) * field.strength;
+        } else {
+            const dx = field.x - ballObj.x;
+            const dy = field.y - ballObj.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance >= field.radius || distance < 1) return false;
+
+            let force;
+            if (field.type === 'well') {
+                const ratio = wellSoftening / Math.max(distance, wellSoftening);
+                force = field.strength * ratio * ratio;
+            } else if (field.type === 'attract' || field.type === 'repel') {
+                force = (1 - distance / field.radius) * field.strength * (field.type === 'repel' ? -1 : 1);
+            } else {
+                return false;
+            }
+            forceX = dx / distance * force;
+            forceY = dy / distance * force;
+        }
+
+        const mass = getBallMass(ballObj, options);
+        ballObj.vx += forceX / mass * deltaTime;
+        ballObj.vy += forceY / mass * deltaTime;
+        return true;
+    }
+
+    // =========================================================================
+    // Engine Instances
+    // =========================================================================
+    function createEngine(overrides = {}) {
+        const options = Object.assign({}, defaults, overrides);
+        if (options.seed !== null && options.seed !== undefined) {
+            options.random = createRandom(options.seed);
+        }
+        const balls = [];
+        const listeners = {};
+        let nextId = 1;
+        let running = false;
+        let paused = false;
+        let destroyed = false;
+        let lastTime = 0;
+        let accumulator = 0;
+        let time = 0; // Simulated milliseconds, advanced only by step()
+        let stepCount = 0;
+        let obstacleCache = [];
+        let obstacleCacheTime = -Infinity;
+        let obstacleHash = null;
+        let forceFields = [];
+        let ballHash = null;
+        let lastBounds = null;
+        const candidates = [];
+        const contacts = [];
+        const supportContacts = [];
+        let contactImpulses = new Map(); // ball pair key -> impulses it ended the last sub-step with
+
+        // Largest radius in play, so the ball grid and pair queries cover every size
+        function getLargestRadius() {
+            let largest = options.ballRadius;
+            balls.forEach((ballObj) => {
+                if (ballObj.active && ballObj.radius > largest) largest = ballObj.radius;
+            });
+            return largest;
+        }
+
+        function getCellSize() {
+            return Math.max(options.cellSize, getLargestRadius() * 2);
+        }
+
+        function getContactKey(a, b) {
+            return a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+        }
+
+        function on(type, handler) {
+            (listeners[type] || (listeners[type] = [])).push(handler);
+            return () => off(type, handler);
+        }
+
+        function off(type, handler) {
+            const list = listeners[type];
+            if (!list) return;
+            const index = list.indexOf(handler);
+            if (index !== -1) list.splice(index, 1);
+        }
+
+        function emit(type, detail) {
+            const list = listeners[type];
+            if (!list) return;
+            list.slice().forEach(handler => handler(detail));
+        }
+
+        function removeBall(ballObj, reason) {
+            ballObj.active = false;
+            emit('remove', { ball: ballObj, reason });
+        }
+
+        // Remove old balls if too many; a maxBalls below 1 still leaves room for the new one
+        function cleanupBalls() {
+            while (balls.length > 0 && balls.length >= options.maxBalls) {
+                removeBall(balls.shift(), 'overflow');
+            }
+        }
+
+        function getObstacles(currentTime) {
+            // Cache obstacles to reduce expensive environment queries
+            // An invalidated cache is always stale, even to an Infinity duration
+            if (obstacleCacheTime === -Infinity || currentTime - obstacleCacheTime > options.obstacleCacheDuration) {
+                const previous = obstacleCache;
+                obstacleCache = options.getObstacles();
+                obstacleCacheTime = currentTime;
+
+                obstacleHash = createSpatialHash(getCellSize());
+                obstacleCache.forEach((obs, index) => {
+                    obstacleHash.insert(index, obs.left, obs.top, obs.right, obs.bottom);
+                });
+
+                // Force fields come from the same environment, so they share the cache
+                forceFields = options.getForceFields();
+
+                if (options.wakeOnObstacleChange) wakeNearMovedObstacles(previous, obstacleCache);
+            }
+            return obstacleCache;
+        }
+
+        function sameBox(a, b) {
+            return a.left === b.left && a.top === b.top && a.right === b.right && a.bottom === b.bottom;
+        }
+
+        // Obstacles are matched by element where the host gives one, otherwise by position in the list
+        function wakeNearMovedObstacles(previous, current) {
+            if (!balls.some(b => b.active && b.sleeping)) return;
+
+            const before = new Map();
+            previous.forEach((obs, index) => before.set(obs.element || index, obs));
+            const moved = [];
+            current.forEach((obs, index) => {
+                const key = obs.element || index;
+                const old = before.get(key);
+                before.delete(key);
+                if (old && sameBox(old, obs)) return;
+                moved.push(obs);
+                if (old) moved.push(old);
+            });
+            before.forEach(obs => moved.push(obs));
+
+            // Where it was and where it is now are both worth a look
+            moved.forEach((obs) => {
+                const halfWidth = (obs.right - obs.left) / 2;
+                const halfHeight = (obs.bottom - obs.top) / 2;
+                wake(obs.left + halfWidth, obs.top + halfHeight, Math.hypot(halfWidth, halfHeight) + options.contactSlop);
+            });
+        }
+
+        function applyWalls(ballObj, bounds) {
+            const { bounceFactor, stopVelocity, maxVelocity } = options;
+            const ballRadius = getBallRadius(ballObj, options);
+
+            // Held balls are simply kept on screen
+            if (ballObj.held) {
+                ballObj.x = Math.max(ballRadius, Math.min(bounds.width - ballRadius, ballObj.x));
+                ballObj.y = Math.max(ballRadius, Math.min(bounds.height - ballRadius, ballObj.y));
+                return;
+            }
+
+            // Only real hits, the ones that bounce, are reported; a resting ball is not
+            const hitWall = (wall, speed) => {
+                if (speed > options.wakeSpeed) emit('wall-hit', { ball: ballObj, wall, speed });
+            };
+
+            // Left wall
+            if (ballObj.x - ballRadius < 0) {
+                hitWall('left', Math.abs(ballObj.vx));
+                addSupport(ballObj, 1, 0);
+                ballObj.x = ballRadius;
+                ballObj.vx = getBounceSpeed(Math.abs(ballObj.vx), bounceFactor, options);
+                if (Math.abs(ballObj.vx) < stopVelocity) {
+                    ballObj.vx = 0;
+                }
+            }
+
+            // Right wall
+            if (ballObj.x + ballRadius > bounds.width) {
+                hitWall('right', Math.abs(ballObj.vx));
+                addSupport(ballObj, -1, 0);
+                ballObj.x = bounds.width - ballRadius;
+                ballObj.vx = -getBounceSpeed(Math.abs(ballObj.vx), bounceFactor, options);
+                if (Math.abs(ballObj.vx) < stopVelocity) {
+                    ballObj.vx = 0;
+                }
+            }
+
+            // Ceiling (prevent balls going above viewport)
+            if (ballObj.y - ballRadius < 0) {
+                hitWall('ceiling', Math.abs(ballObj.vy));
+                addSupport(ballObj, 0, 1);
+                ballObj.y = ballRadius;
+                ballObj.vy = getBounceSpeed(Math.abs(ballObj.vy), bounceFactor, options);
+                if (Math.abs(ballObj.vy) < stopVelocity) {
+                    ballObj.vy = 0;
+                }
+            }
+
+            // Remove balls that fall below the page or go way off screen
+            if (ballObj.y > bounds.height + options.offscreenMargin) {
+                removeBall(ballObj, 'offscreen');
+                return;
+            }
+
+            // Floor with bounce - only bounce if near the bottom
+            if (ballObj.y + ballRadius > bounds.height) {
+                hitWall('floor', Math.abs(ballObj.vy));
+                addSupport(ballObj, 0, -1);
+                ballObj.y = bounds.height - ballRadius;
+
+                applySurfaceGrip(ballObj, 0, -1, Math.abs(ballObj.vy), options);
+                ballObj.vy = -getBounceSpeed(Math.abs(ballObj.vy), bounceFactor, options);
+
+                emit('squash', {
+                    ball: ballObj,
+                    force: Math.min(Math.abs(ballObj.vy) / maxVelocity, 1)
+                });
+
+                if (Math.abs(ballObj.vy) < stopVelocity) {
+                    ballObj.vy = 0;
+                }
+            }
+        }
+
+        // =====================================================================
+        // Sleeping - still balls drop out of integration, collision and wall checks
+        // =====================================================================
+        function sleepBall(ballObj) {
+            ballObj.sleeping = true;
+            ballObj.vx = 0;
+            ballObj.vy = 0;
+            ballObj.speed = 0;
+            ballObj.restingStartTime = time;
+        }
+
+        function wakeBall(ballObj) {
+            ballObj.stillTime = 0;
+            if (!ballObj.sleeping) return;
+            ballObj.sleeping = false;
+            ballObj.restingStartTime = null;
+        }
+
+        // Count how long each ball has been still; asleep for restDuration, it is removed
+        // Stillness is how far the ball actually moved this step: a ball in a pile keeps
+        // some solver velocity that the position correction cancels every sub-step
+        function updateSleep(deltaTime) {
+            const { stopVelocity, sleepDelay, restDuration } = options;
+            const stepDuration = deltaTime * frameDuration;
+            const maxMove = stopVelocity * deltaTime;
+
+            balls.forEach((ballObj) => {
+                if (!ballObj.active) return;
+
+                if (!ballObj.sleeping) {
+                    const dx = ballObj.x - ballObj.stepX;
+                    const dy = ballObj.y - ballObj.stepY;
+                    const still = !ballObj.held && !ballObj.stuck && !ballObj.forced &&
+                        dx * dx + dy * dy < maxMove * maxMove;
+                    ballObj.stillTime = still ? ballObj.stillTime + stepDuration : 0;
+                    if (ballObj.stillTime >= sleepDelay) sleepBall(ballObj);
+                }
+
+                if (ballObj.sleeping && restDuration > 0 && time - ballObj.restingStartTime > restDuration) {
+                    removeBall(ballObj, 'rest');
+                }
+            });
+        }
+
+        // Wake sleeping balls - every one, or those within radius of a point - e.g. when
+        // the host moves the cursor or the obstacles while the loop is asleep
+        function wake(x, y, radius) {
+            let woken = false;
+            balls.forEach((ballObj) => {
+                if (!ballObj.active || !ballObj.sleeping) return;
+                if (radius !== undefined &&
+                    Math.hypot(ballObj.x - x, ballObj.y - y) > radius + getBallRadius(ballObj, options)) {
+                    return;
+                }
+                wakeBall(ballObj);
+                woken = true;
+            });
+            if (!woken) return false;
+
+            emit('wake', { x, y, radius });
+            start();
+            return true;
+        }
+
+        // Let go of a ball held by a sticky surface; it ignores sticky surfaces for a while after
+        function unstick(ballObj) {
+            if (!ballObj.stuck) return;
+            ballObj.stuck = null;
+            ballObj.stickFreeTime = time + options.stickDuration;
+            emit('unstick', { ball: ballObj });
+        }
+
+        // Act on the marks left by sticky and absorbing materials during the obstacle pass
+        function applyMaterialMarks(ballObj) {
+            if (ballObj.absorbedBy) {
+                const obstacle = ballObj.absorbedBy;
+                ballObj.absorbedBy = null;
+                emit('absorb', { ball: ballObj, obstacle });
+                removeBall(ballObj, 'absorbed');
+                return;
+            }
+
+            if (ballObj.stickTo) {
+                const obstacle = ballObj.stickTo;
+                ballObj.stickTo = null;
+                if (ballObj.stuck || time < (ballObj.stickFreeTime || 0)) return;
+                ballObj.stuck = { since: time };
+                ballObj.vx = 0;
+                ballObj.vy = 0;
+                emit('stick', { ball: ballObj, obstacle });
+            }
+        }
+
+        // One collision pass over a slice of the fixed step
+        function subStep(deltaTime, obstacles, fields, bounds, cursor) {
+            const { gravity, airResistance } = options;
+
+            balls.forEach((ballObj) => {
+                if (!ballObj.active) return;
+
+                ballObj.prevX = ballObj.x;
+                ballObj.prevY = ballObj.y;
+
+                // Stuck balls stay put, free of gravity, until the surface lets go
+                if (ballObj.stuck) {
+                    ballObj.stillTime = 0;
+                    if (time - ballObj.stuck.since < options.stickDuration) {
+                        ballObj.vx = 0;
+                        ballObj.vy = 0;
+                        return;
+                    }
+                    unstick(ballObj);
+                }
+
+                // Held balls are kinematic: they chase the pointer and keep the implied velocity
+                if (ballObj.held) {
+                    const follow = 1 - Math.pow(1 - options.dragFollow, deltaTime);
+                    ballObj.x += (ballObj.holdX - ballObj.x) * follow;
+                    ballObj.y += (ballObj.holdY - ballObj.y) * follow;
+                    ballObj.vx = (ballObj.x - ballObj.prevX) / deltaTime;
+                    ballObj.vy = (ballObj.y - ballObj.prevY) / deltaTime;
+                    clampVelocity(ballObj, options);
+                    return;
+                }
+
+                // Apply cursor magnetism
+                let forced = applyCursorMagnetism(ballObj, cursor, options, deltaTime);
+
+                // Apply attractors, repellers, wells and wind zones
+                for (const field of fields) {
+                    if (applyForceField(ballObj, field, options, deltaTime)) forced = true;
+                }
+
+                // A ball held in place by a force never counts as still; a sleeping one
+                // wakes only when a force reaches it
+                ballObj.forced = forced;
+                if (ballObj.sleeping) {
+                    if (!forced) return;
+                    wakeBall(ballObj);
+                }
+
+                // Apply gravity
+                ballObj.vy += gravity * deltaTime;
+
+                // Apply air resistance to both axes
+                ballObj.vx *= Math.pow(airResistance, deltaTime);
+                ballObj.vy *= Math.pow(airResistance, deltaTime);
+
+                clampVelocity(ballObj, options);
+
+                ballObj.x += ballObj.vx * deltaTime;
+                ballObj.y += ballObj.vy * deltaTime;
+
+                // Update rotation with custom spin speed
+                ballObj.rotation += ((ballObj.vx * 0.5) + (ballObj.spinSpeed || 0)) * deltaTime;
+            });
+
+            // Ball to ball contacts - each ball only meets its grid neighbours
+            const cellSize = getCellSize();
+            if (!ballHash || ballHash.cellSize !== cellSize) {
+                ballHash = createSpatialHash(cellSize);
+            }
+            ballHash.clear();
+            balls.forEach((ballObj, index) => {
+                if (ballObj.active) ballHash.insert(index, ballObj.x, ballObj.y, ballObj.x, ballObj.y);
+            });
+
+            const largestRadius = getLargestRadius();
+            contacts.length = 0;
+            for (let i = 0; i < balls.length; i++) {
+                const a = balls[i];
+                if (!a.active) continue;
+                const reach = getBallRadius(a, options) + largestRadius + options.contactSlop;
+                ballHash.query(
+                    a.x - reach, a.y - reach,
+                    a.x + reach, a.y + reach,
+                    candidates
+                );
+                for (const j of candidates) {
+                    if (j <= i) continue;
+                    const b = balls[j];
+                    if (!b.active || (a.sleeping && b.sleeping)) continue;
+
+                    let contact = createBallContact(a, b, options);
+                    if (!contact) continue;
+
+                    // A real hit wakes a sleeping ball so it can be knocked on
+                    if (contact.approach < -options.wakeSpeed && (a.sleeping || b.sleeping)) {
+                        wakeBall(a);
+                        wakeBall(b);
+                        contact = createBallContact(a, b, options);
+                    }
+                    if (contact.approach < -options.wakeSpeed) {
+                        reportBallImpact(contact, options, emit);
+                    }
+                    // A hit starts afresh: replaying its bounce would feed energy into the pile
+                    contact.key = getContactKey(a, b);
+                    const previous = contactImpulses.get(contact.key);
+                    if (previous && contact.approach >= -options.wakeSpeed) warmStartContact(contact, previous);
+                    contacts.push(contact);
+                }
+            }
+
+            // Last sub-step's surfaces hold up the balls pushed against them
+            supportContacts.length = 0;
+            balls.forEach((ballObj) => {
+                if (!ballObj.active || ballObj.held || ballObj.stuck || ballObj.sleeping || !ballObj.supports) return;
+                for (let k = 0; k < ballObj.supports.length; k += 2) {
+                    supportContacts.push({ ball: ballObj, nx: ballObj.supports[k], ny: ballObj.supports[k + 1], normalImpulse: 0 });
+                }
+            });
+
+            for (let iteration = 0; iteration < options.solverIterations; iteration++) {
+                for (const contact of contacts) {
+                    solveContactVelocity(contact, options);
+                }
+                for (const support of supportContacts) {
+                    solveSupportVelocity(support);
+                }
+            }
+            for (const contact of contacts) {
+                solveContactPosition(contact, options);
+            }
+
+            // Pairs that came apart are forgotten
+            contactImpulses = new Map();
+            for (const contact of contacts) {
+                contactImpulses.set(contact.key, {
+                    normalImpulse: contact.normalImpulse,
+                    tangentImpulse: contact.tangentImpulse
+                });
+            }
+
+            // Check collisions with obstacles near the path the ball swept this sub-step
+            balls.forEach((ballObj) => {
+                if (ballObj.supports) ballObj.supports.length = 0;
+                if (!ballObj.active || ballObj.held || ballObj.stuck || ballObj.sleeping) return;
+                const ballRadius = getBallRadius(ballObj, options);
+                obstacleHash.query(
+                    Math.min(ballObj.prevX, ballObj.x) - ballRadius,
+                    Math.min(ballObj.prevY, ballObj.y) - ballRadius,
+                    Math.max(ballObj.prevX, ballObj.x) + ballRadius,
+                    Math.max(ballObj.prevY, ballObj.y) + ballRadius,
+                    candidates
+                );
+                for (const index of candidates) {
+                    const obs = obstacles[index];
+                    if (obs.type === 'rect') {
+                        if (!sweepRectCollision(ballObj, obs, options, emit)) {
+                            checkRectCollision(ballObj, obs, options, emit);
+                        }
+                    } else if (obs.type === 'mask') {
+                        checkMaskCollision(ballObj, obs, options, emit);
+                    } else {
+                        checkShapeCollision(ballObj, obs, options, emit);
+                    }
+                }
+                applyMaterialMarks(ballObj);
+            });
+
+            // Walls, ceiling, and floor
+            balls.forEach((ballObj) => {
+                if (!ballObj.active || ballObj.sleeping) return;
+                applyWalls(ballObj, bounds);
+            });
+        }
+
+        // Advance the simulation by one fixed step of deltaTime frames (1 = one 60fps frame)
+        // Simulation time only moves here, so results never depend on the display's frame rate
+        function step(deltaTime = options.timestep) {
+            const obstacles = getObstacles(time);
+            const bounds = options.getBounds();
+            const cursor = options.getCursor();
+            const subSteps = Math.max(1, Math.round(options.subSteps));
+            const subDelta = deltaTime / subSteps;
+
+            // Sleepers resting against a wall that moved have to fall again
+            if (lastBounds && (lastBounds.width !== bounds.width || lastBounds.height !== bounds.height)) {
+                balls.forEach(wakeBall);
+            }
+            lastBounds = bounds;
+
+            balls.forEach((ballObj) => {
+                ballObj.stepX = ballObj.x;
+                ballObj.stepY = ballObj.y;
+            });
+            for (let i = 0; i < subSteps; i++) {
+                time += subDelta * frameDuration;
+                subStep(subDelta, obstacles, forceFields, bounds, cursor);
+            }
+            updateSleep(deltaTime);
+            stepCount++;
+
+            // Remove inactive balls from array
+            for (let i = balls.length - 1; i >= 0; i--) {
+                if (!balls[i].active) {
+                    balls.splice(i, 1);
+                }
+            }
+
+            emit('step', { balls, deltaTime, time });
+        }
+
+        // Animation loop - only runs while there are active balls
+        // Real frame time fills an accumulator that is drained in fixed steps
+        function tick(frameTime) {
+            if (destroyed || paused || balls.length === 0) {
+                stop();
+                return;
+            }
+
+            if (lastTime === 0) lastTime = frameTime;
+            const { timestep, maxFrameSteps } = options;
+            // Cap the backlog so a long stall doesn't trigger a burst of catch-up steps
+            accumulator = Math.min(accumulator + (frameTime - lastTime) / frameDuration, timestep * maxFrameSteps);
+            lastTime = frameTime;
+
+            while (accumulator >= timestep && balls.length > 0) {
+                step(timestep);
+                accumulator -= timestep;
+            }
+
+            // Sleeping balls need no frames, unless they are waiting to be removed
+            if (balls.some(b => b.active && (!b.sleeping || options.restDuration > 0))) {
+                options.requestFrame(tick);
+            } else {
+                stop();
+            }
+        }
+
+        function stop() {
+            running = false;
+            lastTime = 0;
+            accumulator = 0;
+        }
+
+        function start() {
+            if (running || paused || destroyed || !options.requestFrame) return;
+            running = true;
+            options.requestFrame(tick);
+        }
+
+        // Freeze the simulation in place; spawns still queue up until resume
+        function pause() {
+            if (paused) return;
+            paused = true;
+            emit('pause', {});
+        }
+
+        function resume() {
+            if (!paused) return;
+            paused = false;
+            emit('resume', {});
+            if (balls.length > 0) start();
+        }
+
+        // Spawn ball at position with velocity, optional variant and optional { radius, mass }
+        function spawn(x, y, vx = 0, vy = 2, variant = 'normal', props = {}) {
+            if (destroyed) return null;
+            cleanupBalls();
+
+            const { random } = options;
+            const ballObj = {
+                id: nextId++,
+                x: x,
+                y: y,
+                vx: vx + (random() - 0.5) * 6,
+                vy: vy + (random() - 0.5) * 4,
+                speed: 0,
+                variant,
+                active: true,
+                rotation: random() * 360,
+                spinSpeed: (random() - 0.5) * 10,
+                restingStartTime: null,
+                radius: props.radius > 0 ? props.radius : null,
+                mass: props.mass > 0 ? props.mass : null,
+                stuck: null,
+                sleeping: false,
+                stillTime: 0
+            };
+
+            balls.push(ballObj);
+            emit('spawn', { ball: ballObj, input: { x, y, vx, vy, variant, props } });
+            start();
+
+            return ballObj;
+        }
+
+        function clear() {
+            while (balls.length) {
+                removeBall(balls.shift(), 'clear');
+            }
+            emit('clear', {});
+        }
+
+        function getBall(id) {
+            return balls.find(b => b.id === id && b.active) || null;
+        }
+
+        // Nearest ball whose edge is within slop of a point
+        function findBallAt(x, y, slop = 0) {
+            let found = null;
+            let foundDistSq = Infinity;
+            balls.forEach((ballObj) => {
+                if (!ballObj.active || ballObj.held) return;
+                const reach = getBallRadius(ballObj, options) + slop;
+                const dx = ballObj.x - x;
+                const dy = ballObj.y - y;
+                const distSq = dx * dx + dy * dy;
+                if (distSq <= reach * reach && distSq <= foundDistSq) {
+                    found = ballObj;
+                    foundDistSq = distSq;
+                }
+            });
+            return found;
+        }
+
+        // Pointer control - grab a ball, drag it towards a point, release it with a fling
+        function grab(ballObj, x = ballObj.x, y = ballObj.y) {
+            if (!ballObj || !ballObj.active) return false;
+            unstick(ballObj);
+            wakeBall(ballObj);
+            ballObj.held = true;
+            ballObj.holdX = x;
+            ballObj.holdY = y;
+            emit('grab', { ball: ballObj, x, y });
+            start();
+            return true;
+        }
+
+        function drag(ballObj, x, y) {
+            if (!ballObj || !ballObj.held) return;
+            ballObj.holdX = x;
+            ballObj.holdY = y;
+            emit('drag', { ball: ballObj, x, y });
+        }
+
+        function release(ballObj, vx = 0, vy = 0) {
+            if (!ballObj || !ballObj.held) return;
+            ballObj.held = false;
+            ballObj.vx = vx;
+            ballObj.vy = vy;
+            clampVelocity(ballObj, options);
+            emit('release', { ball: ballObj, vx: ballObj.vx, vy: ballObj.vy });
+        }
+
+        // Push every free ball at once, e.g. when the page is flicked
+        function impulse(vx, vy) {
+            let pushed = false;
+            balls.forEach((ballObj) => {
+                if (!ballObj.active || ballObj.held) return;
+                unstick(ballObj);
+                wakeBall(ballObj);
+                ballObj.vx += vx;
+                ballObj.vy += vy;
+                pushed = true;
+            });
+            if (!pushed) return;
+            emit('impulse', { vx, vy });
+            start();
+        }
+
+        // Restart the random stream, e.g. at the start of a recording
+        function reseed(seed = randomSeed()) {
+            options.seed = seed;
+            options.random = createRandom(seed);
+            return seed;
+        }
+
+        // Plain-data copy of the simulation, enough to rebuild it elsewhere
+        function snapshot() {
+            return {
+                time,
+                nextId,
+                balls: balls.filter(b => b.active).map(b => ({
+                    id: b.id,
+                    x: b.x,
+                    y: b.y,
+                    vx: b.vx,
+                    vy: b.vy,
+                    rotation: b.rotation,
+                    spinSpeed: b.spinSpeed,
+                    variant: b.variant,
+                    restingStartTime: b.restingStartTime,
+                    held: !!b.held,
+                    holdX: b.holdX,
+                    holdY: b.holdY,
+                    radius: b.radius,
+                    mass: b.mass,
+                    stuck: b.stuck ? { since: b.stuck.since } : null,
+                    stickFreeTime: b.stickFreeTime || 0,
+                    sleeping: !!b.sleeping,
+                    stillTime: b.stillTime || 0,
+                    supports: b.supports ? b.supports.slice() : []
+                })),
+                // Warm starting state, so a restored pile carries on exactly
+                contacts: Array.from(contactImpulses, ([key, impulses]) => [key, impulses.normalImpulse, impulses.tangentImpulse])
+            };
+        }
+
+        function restore(state) {
+            while (balls.length) {
+                removeBall(balls.shift(), 'restore');
+            }
+
+            time = state.time || 0;
+            nextId = state.nextId || nextId;
+            obstacleCacheTime = -Infinity;
+            contactImpulses = new Map((state.contacts || []).map(([key, normalImpulse, tangentImpulse]) =>
+                [key, { normalImpulse, tangentImpulse }]));
+
+            (state.balls || []).forEach((saved) => {
+                const ballObj = Object.assign({
+                    speed: 0,
+                    variant: 'normal',
+                    active: true,
+                    rotation: 0,
+                    spinSpeed: 0,
+                    restingStartTime: null,
+                    radius: null,
+                    mass: null,
+                    stuck: null,
+                    sleeping: false,
+                    stillTime: 0
+                }, saved);
+                nextId = Math.max(nextId, ballObj.id + 1);
+                balls.push(ballObj);
+                emit('spawn', { ball: ballObj, restored: true });
+            });
+
+            if (balls.length > 0) start();
+        }
+
+        // Drop cached obstacles and fields so the next step reads them afresh,
+        // for hosts that know when their environment changed
+        function invalidateObstacles() {
+            obstacleCacheTime = -Infinity;
+            // Sleepers take no steps to notice, so read now and wake those whose surroundings moved
+            if (balls.some(b => b.active && b.sleeping)) getObstacles(time);
+        }
+
+        function configure(patch = {}) {
+            Object.assign(options, patch);
+            if ('getObstacles' in patch || 'getForceFields' in patch || 'obstacleCacheDuration' in patch ||
+                'cellSize' in patch || 'ballRadius' in patch) {
+                obstacleCacheTime = -Infinity;
+            }
+            // Sleepers settled under the old options; let them settle again under the new
+            wake();
+            return options;
+        }
+
+        function destroy() {
+            if (destroyed) return;
+            clear();
+            destroyed = true;
+            stop();
+            Object.keys(listeners).forEach(type => delete listeners[type]);
+        }
+
+        return {
+            options,
+            balls,
+            on,
+            off,
+            spawn,
+            step,
+            clear,
+            configure,
+            invalidateObstacles,
+            wake,
+            getBall,
+            findBallAt,
+            grab,
+            drag,
+            release,
+            impulse,
+            pause,
+            resume,
+            reseed,
+            snapshot,
+            restore,
+            destroy,
+            get time() {
+                return time;
+            },
+            get stepCount() {
+                return stepCount;
+            },
+            get running() {
+                return running;
+            },
+            get paused() {
+                return paused;
+            }
+        };
+    }
+
+    // =========================================================================
+    // Recording & Replay - seed, spawn inputs and per-step environment
+    // Everything the engine reads is captured, so a replay reproduces it exactly
+    // =========================================================================
+    const recordingVersion = 1;
+
+    // Only plain settings travel with a recording; providers are replaced on replay
+    function getRecordableOptions(options) {
+        const recordable = {};
+        Object.keys(options).forEach((key) => {
+            const value = options[key];
+            // Infinity would not survive JSON, so the replay falls back to the default
+            if ((typeof value === 'number' && isFinite(value)) || typeof value === 'boolean' || typeof value === 'string') {
+                recordable[key] = value;
+            }
+        });
+        return recordable;
+    }
+
+    // Obstacles and force fields lose their element; a mask's distance field is stored
+    // once in recording.masks and referred to by index, since every re-read repeats it
+    function getRecordableObstacles(obstacles, getMaskIndex = null) {
+        return obstacles.map((obs) => {
+            const copy = {};
+            Object.keys(obs).forEach((key) => {
+                if (key === 'element') return;
+                copy[key] = key === 'mask' && getMaskIndex ? getMaskIndex(obs.mask) : obs[key];
+            });
+            return copy;
+        });
+    }
+
+    // Float32 samples survive JSON exactly as plain numbers
+    function getRecordableMask(field) {
+        return {
+            width: field.width,
+            height: field.height,
+            distance: Array.from(field.distance),
+            gradX: Array.from(field.gradX),
+            gradY: Array.from(field.gradY)
+        };
+    }
+
+    function restoreMask(mask) {
+        return {
+            width: mask.width,
+            height: mask.height,
+            distance: Float32Array.from(mask.distance),
+            gradX: Float32Array.from(mask.gradX),
+            gradY: Float32Array.from(mask.gradY)
+        };
+    }
+
+    function createRecorder(engine) {
+        const providers = {
+            getObstacles: engine.options.getObstacles,
+            getForceFields: engine.options.getForceFields,
+            getBounds: engine.options.getBounds,
+            getCursor: engine.options.getCursor
+        };
+        const initial = engine.snapshot();
+        const seed = engine.reseed();
+        const startStep = engine.stepCount;
+        const recording = {
+            version: recordingVersion,
+            seed,
+            options: getRecordableOptions(engine.options),
+            initial,
+            frames: [],
+            obstacles: [],
+            fields: [],
+            masks: [],
+            actions: []
+        };
+        const maskIndexes = new Map(); // distance field -> index in recording.masks
+        let lastBounds = null;
+        let isRecording = true;
+
+        function getMaskIndex(field) {
+            if (!maskIndexes.has(field)) {
+                maskIndexes.set(field, recording.masks.length);
+                recording.masks.push(getRecordableMask(field));
+            }
+            return maskIndexes.get(field);
+        }
+
+        function currentStep() {
+            return engine.stepCount - startStep;
+        }
+
+        function frameAt(step) {
+            while (recording.frames.length <= step) {
+                recording.frames.push({});
+            }
+            return recording.frames[step];
+        }
+
+        const unsubscribers = [
+            engine.on('spawn', ({ input, restored }) => {
+                if (restored || !input) return;
+                recording.actions.push({
+                    step: currentStep(),
+                    type: 'spawn',
+                    input: [input.x, input.y, input.vx, input.vy, input.variant, input.props]
+                });
+            }),
+            engine.on('clear', () => {
+                recording.actions.push({ step: currentStep(), type: 'clear' });
+            }),
+            engine.on('grab', ({ ball, x, y }) => {
+                recording.actions.push({ step: currentStep(), type: 'grab', id: ball.id, input: [x, y] });
+            }),
+            engine.on('drag', ({ ball, x, y }) => {
+                recording.actions.push({ step: currentStep(), type: 'drag', id: ball.id, input: [x, y] });
+            }),
+            engine.on('release', ({ ball, vx, vy }) => {
+                recording.actions.push({ step: currentStep(), type: 'release', id: ball.id, input: [vx, vy] });
+            }),
+            engine.on('impulse', ({ vx, vy }) => {
+                recording.actions.push({ step: currentStep(), type: 'impulse', input: [vx, vy] });
+            }),
+            engine.on('wake', ({ x, y, radius }) => {
+                recording.actions.push({ step: currentStep(), type: 'wake', input: [x, y, radius] });
+            })
+        ];
+
+        engine.configure({
+            getObstacles: () => {
+                const obstacles = providers.getObstacles();
+                recording.obstacles.push({
+                    step: currentStep(),
+                    obstacles: getRecordableObstacles(obstacles, getMaskIndex)
+                });
+                return obstacles;
+            },
+            getForceFields: () => {
+                const fields = providers.getForceFields();
+                recording.fields.push({
+                    step: currentStep(),
+                    fields: getRecordableObstacles(fields)
+                });
+                return fields;
+            },
+            getBounds: () => {
+                const bounds = providers.getBounds();
+                // Bounds rarely change, so only store them when they do
+                if (!lastBounds || lastBounds.width !== bounds.width || lastBounds.height !== bounds.height) {
+                    frameAt(currentStep()).bounds = [bounds.width, bounds.height];
+                    lastBounds = bounds;
+                }
+                return bounds;
+            },
+            getCursor: () => {
+                const cursor = providers.getCursor();
+                frameAt(currentStep()).cursor = cursor ? [cursor.x, cursor.y] : null;
+                return cursor;
+            }
+        });
+
+        function stop() {
+            if (!isRecording) return recording;
+            isRecording = false;
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            engine.configure(providers);
+            return recording;
+        }
+
+        return {
+            recording,
+            stop,
+            toJSON: () => recording,
+            export: () => JSON.stringify(recording),
+            get active() {
+                return isRecording;
+            }
+        };
+    }
+
+    function parseRecording(json) {
+        const recording = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!recording || recording.version !== recordingVersion) {
+            throw new Error('Unsupported ball recording version: ' + (recording && recording.version));
+        }
+        return recording;
+    }
+
+    // Rebuild a recorded session step by step; overrides are for non-physics options only
+    function createReplay(json, overrides = {}) {
+        const recording = parseRecording(json);
+        let index = 0;
+        let actionIndex = 0;
+        let obstacleIndex = 0;
+        let readIndex = 0; // First snapshot the replay has not yet read
+        let fieldIndex = 0;
+        let bounds = { width: Infinity, height: Infinity };
+        let started = false;
+
+        // Mask obstacles get their distance field back from its index
+        const masks = (recording.masks || []).map(restoreMask);
+        const snapshots = recording.obstacles.map(entry => ({
+            step: entry.step,
+            obstacles: entry.obstacles.map(obs => (obs.type === 'mask' && typeof obs.mask === 'number'
+                ? Object.assign({}, obs, { mask: masks[obs.mask] })
+                : obs))
+        }));
+
+        const engine = createEngine(Object.assign({}, overrides, recording.options, {
+            seed: recording.seed,
+            requestFrame: null,
+            // Obstacles are re-read on exactly the steps the recording read them
+            obstacleCacheDuration: Infinity,
+            // The recorded wake actions already say which sleepers woke
+            wakeOnObstacleChange: false,
+            getObstacles: () => {
+                // Latest snapshot taken at or before this step
+                while (obstacleIndex + 1 < snapshots.length && snapshots[obstacleIndex + 1].step <= index) {
+                    obstacleIndex++;
+                }
+                const entry = snapshots[obstacleIndex];
+                return entry ? entry.obstacles : [];
+            },
+            getForceFields: () => {
+                const fields = recording.fields || [];
+                while (fieldIndex + 1 < fields.length && fields[fieldIndex + 1].step <= index) {
+                    fieldIndex++;
+                }
+                return fields[fieldIndex] ? fields[fieldIndex].fields : [];
+            },
+            getBounds: () => bounds,
+            getCursor: () => {
+                const frame = recording.frames[index];
+                return frame && frame.cursor ? { x: frame.cursor[0], y: frame.cursor[1] } : null;
+            }
+        }));
+
+        function runActions() {
+            while (actionIndex < recording.actions.length && recording.actions[actionIndex].step <= index) {
+                const action = recording.actions[actionIndex++];
+                if (action.type === 'spawn') {
+                    engine.spawn(...action.input);
+                } else if (action.type === 'clear') {
+                    engine.clear();
+                } else if (action.type === 'grab') {
+                    engine.grab(engine.getBall(action.id), ...action.input);
+                } else if (action.type === 'drag') {
+                    engine.drag(engine.getBall(action.id), ...action.input);
+                } else if (action.type === 'release') {
+                    engine.release(engine.getBall(action.id), ...action.input);
+                } else if (action.type === 'impulse') {
+                    engine.impulse(...action.input);
+                } else if (action.type === 'wake') {
+                    engine.wake(...action.input.map(value => value === null ? undefined : value));
+                }
+            }
+        }
+
+        // Run one recorded step; returns false once the recording is exhausted
+        function advance() {
+            if (!started) {
+                started = true;
+                engine.restore(recording.initial);
+            }
+
+            runActions();
+            if (index >= recording.frames.length) return false;
+
+            const frame = recording.frames[index];
+            if (frame.bounds) {
+                bounds = { width: frame.bounds[0], height: frame.bounds[1] };
+            }
+            if (readIndex < snapshots.length && snapshots[readIndex].step <= index) {
+                engine.invalidateObstacles();
+                while (readIndex < snapshots.length && snapshots[readIndex].step <= index) readIndex++;
+            }
+            engine.step();
+            index++;
+
+            // Actions recorded after the final step
+            if (index >= recording.frames.length) runActions();
+            return true;
+        }
+
+        function run() {
+            while (advance()) { /* step through every recorded frame */ }
+            return engine;
+        }
+
+        return {
+            engine,
+            recording,
+            advance,
+            run,
+            get step() {
+                return index;
+            },
+            get done() {
+                return started && index >= recording.frames.length;
+            }
+        };
+    }
+
+    return {
+        defaults,
+        createEngine,
+        createRandom,
+        createRecorder,
+        createReplay,
+        parseRecording,
+        createSpatialHash,
+        checkRectCollision,
+        sweepRectCollision,
+        checkShapeCollision,
+        buildDistanceField,
+        sampleDistanceField,
+        checkMaskCollision,
+        resolveBallCollision,
+        clampVelocity,
+        applyCursorMagnetism,
+        applyForceField
+    };
+});
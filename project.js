@@ -11,14 +11,27 @@
 
     const scenes = document.querySelectorAll('.project-scene');
 
-    function getScrollProgress(element) {
-        const rect = element.getBoundingClientRect();
-        const elementHeight = element.offsetHeight;
+    // Each scene's place in the document, read on load and resize so that
+    // scrolling itself never has to touch layout
+    const sceneLayout = new Map();
+
+    function measureScenes() {
+        scenes.forEach(scene => {
+            const rect = scene.getBoundingClientRect();
+            sceneLayout.set(scene, {
+                top: rect.top + window.scrollY,
+                bottom: rect.bottom + window.scrollY
+            });
+        });
+    }
+
+    function getScrollProgress(scene) {
+        const layout = sceneLayout.get(scene);
         const windowHeight = window.innerHeight;
 
         // Calculate when element enters and exits viewport
-        const scrollStart = rect.top + window.scrollY - windowHeight;
-        const scrollEnd = rect.bottom + window.scrollY;
+        const scrollStart = layout.top - windowHeight;
+        const scrollEnd = layout.bottom;
         const scrollDistance = scrollEnd - scrollStart;
         const currentScroll = window.scrollY + windowHeight;
 
@@ -28,176 +41,316 @@
         return progress;
     }
 
-    function animateScene(scene, progress) {
-        const sceneType = scene.dataset.scene;
+    // =========================================================================
+    // Scene Timelines - each scene type is a list of tracks; a track picks
+    // elements by selector and, between its start and end progress, eases
+    // them through opacity and transform values and whatever their class
+    // changes. Scrolling back reverses it, unless the track plays once.
+    // A page can add or replace scene types with a JSON block:
+    //   <script type="application/json" data-scene-timelines>{ "type": [tracks] }</script>
+    // and any element inside a scene can carry its own track instead:
+    //   data-timeline-start="0.2" data-timeline-end="0.6" data-timeline-ease="ease-out"
+    //   data-timeline-class="visible" data-timeline-opacity="0 1" data-timeline-scale="0.9 1"
+    //   data-timeline-once
+    // =========================================================================
+    const defaultTimelines = {
+        // Scene 01 — Introduction: the device arrives, then keeps a subtle scale-up
+        intro: [
+            { selector: '.phone-frame, .tv-frame, .laptop-frame', start: 0.1, end: 0.3, class: 'visible' },
+            { selector: '.phone-frame, .tv-frame, .laptop-frame', start: 0.3, end: 0.65, scale: [1, 1.05] },
+            { selector: '.scene-text', start: 0.3, class: 'visible' }
+        ],
+        // Scene 02 — Identity
+        identity: [
+            { selector: '.identity-layer', start: 0.2, stagger: 0.15, class: 'visible' },
+            { selector: '.scene-text', start: 0.5, class: 'visible' }
+        ],
+        // Scene 03 — UI/UX: app screens, TV navigation demo and dashboard cards
+        ui: [
+            { selector: '.app-screen', start: 0.2, stagger: 0.15, class: 'visible' },
+            { selector: '.focus-ring', start: 0.2, class: 'visible' },
+            { selector: '.choice-button', start: 0.25, stagger: 0.1, class: 'visible' },
+            { selector: '.dashboard-card', start: 0.2, stagger: 0.15, class: 'visible' },
+            { selector: '.scene-text', start: 0.6, class: 'visible' }
+        ],
+        // Scene 04 — Flow: the device, then its internal content
+        flow: [
+            { selector: '.flow-phone, .flow-tv, .flow-laptop', start: 0.2, class: 'visible' },
+            { selector: '.balance-display, .question-display', start: 0.3, class: 'animate' },
+            { selector: '.mini-card, .choice-card, .website-scroll', start: 0.4, class: 'animate' },
+            { selector: '.score-bar, .score-progress', start: 0.5, class: 'animate' },
+            { selector: '.scene-text', start: 0.6, class: 'visible' }
+        ],
+        // Scene 05 — Marketing
+        marketing: [
+            { selector: '.marketing-asset', start: 0.2, stagger: 0.15, class: 'visible' },
+            { selector: '.scene-text', start: 0.6, class: 'visible' }
+        ],
+        // Scene 06 — Closing: the device settles from slightly too close
+        closing: [
+            { selector: '.closing-phone, .closing-tv, .closing-laptop', start: 0.2, end: 0.7, class: 'visible' },
+            { selector: '.scene-text', start: 0.5, class: 'visible' }
+        ]
+    };
+
+    const defaultSpan = 0.15; // Progress a track without an end takes to play
+    const scrubLength = 1000; // ms of a paused animation, seeked by progress
+    const canScrub = typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function';
+
+    // What a class can change that gets scrubbed rather than transitioned
+    const scrubbedProperties = ['opacity', 'transform', 'width'];
+
+    const easings = {
+        linear: t => t,
+        'ease-in': t => t * t,
+        'ease-out': t => t * (2 - t),
+        'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t))
+    };
+
+    // Animatable properties, their data attribute and how each becomes CSS
+    const trackProperties = [
+        { key: 'opacity', attribute: 'timelineOpacity' },
+        { key: 'translateX', attribute: 'timelineTranslateX', transform: value => `translateX(${value}px)` },
+        { key: 'translateY', attribute: 'timelineTranslateY', transform: value => `translateY(${value}px)` },
+        { key: 'scale', attribute: 'timelineScale', transform: value => `scale(${value})` },
+        { key: 'rotate', attribute: 'timelineRotate', transform: value => `rotate(${value}deg)` }
+    ];
+
+    function readPageTimelines() {
+        const timelines = Object.assign({}, defaultTimelines);
+        document.querySelectorAll('script[type="application/json"][data-scene-timelines]').forEach(block => {
+            try {
+                Object.assign(timelines, JSON.parse(block.textContent));
+            } catch (error) {
+                console.warn('Ignoring invalid scene timelines', error);
+            }
+        });
+        return timelines;
+    }
 
-        // Scene 01 — Introduction
-        if (sceneType === 'intro') {
-            const device = scene.querySelector('.phone-frame, .tv-frame, .laptop-frame');
-            const text = scene.querySelector('.scene-text');
+    const timelines = readPageTimelines();
 
-            if (device && progress > 0.1) {
-                device.classList.add('visible');
+    // "0 1", "0,1" or a single value held throughout
+    function parseRange(value) {
+        const numbers = value.split(/[\s,]+/).filter(Boolean).map(Number);
+        if (!numbers.length || numbers.some(number => !Number.isFinite(number))) return null;
+        return [numbers[0], numbers.length > 1 ? numbers[1] : numbers[0]];
+    }
 
-                // Subtle scale-up as user scrolls
-                const scaleProgress = Math.min(progress * 1.5, 1);
-                const scale = 1 + (scaleProgress * 0.05);
-                device.style.transform = `scale(${scale}) translateY(0)`;
-            }
+    function toNumber(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
 
-            if (text && progress > 0.3) {
-                text.classList.add('visible');
-            }
-        }
+    function createStep(element, track, delay = 0) {
+        const start = toNumber(track.start, 0) + delay;
+        const end = toNumber(track.end, start - delay + defaultSpan) + delay;
+        const properties = trackProperties.filter(property => Array.isArray(track[property.key]));
+        return {
+            element,
+            start,
+            end: Math.max(start, end),
+            ease: easings[track.ease] || easings.linear,
+            className: track.class || null,
+            once: track.once === true,
+            played: false,
+            properties: properties.map(property => ({ property, range: track[property.key] })),
+            animations: null
+        };
+    }
 
-        // Scene 02 — Identity
-        if (sceneType === 'identity') {
-            const layers = scene.querySelectorAll('.identity-layer');
-            const text = scene.querySelector('.scene-text');
-
-            layers.forEach((layer, index) => {
-                const layerDelay = index * 0.15;
-                if (progress > 0.2 + layerDelay) {
-                    layer.classList.add('visible');
-                }
-            });
+    function readElementTrack(element) {
+        const data = element.dataset;
+        const track = {
+            start: data.timelineStart,
+            end: data.timelineEnd,
+            ease: data.timelineEase,
+            class: data.timelineClass,
+            once: 'timelineOnce' in data
+        };
+        trackProperties.forEach(property => {
+            const range = data[property.attribute] ? parseRange(data[property.attribute]) : null;
+            if (range) track[property.key] = range;
+        });
+        return track;
+    }
 
-            if (text && progress > 0.5) {
-                text.classList.add('visible');
-            }
-        }
+    function readScrubbedStyle(target) {
+        const computed = getComputedStyle(target);
+        const style = {};
+        scrubbedProperties.forEach(property => {
+            style[property] = computed[property];
+        });
+        return style;
+    }
 
-        // Scene 03 — UI/UX
-        if (sceneType === 'ui') {
-            const screens = scene.querySelectorAll('.app-screen');
-            const choices = scene.querySelectorAll('.choice-button');
-            const focusRing = scene.querySelector('.focus-ring');
-            const cards = scene.querySelectorAll('.dashboard-card');
-            const text = scene.querySelector('.scene-text');
-
-            // App screens slide in from depth
-            screens.forEach((screen, index) => {
-                const screenDelay = index * 0.15;
-                if (progress > 0.2 + screenDelay) {
-                    screen.classList.add('visible');
-                }
-            });
+    // What toggling the class does to the element and anything inside it, read
+    // with transitions held off so both ends are final values
+    function measureClass(element, className) {
+        const targets = [element, ...element.querySelectorAll('*')];
+        const transitions = targets.map(target => target.style.transition);
+        const hadClass = element.classList.contains(className);
+        targets.forEach(target => {
+            target.style.transition = 'none';
+        });
 
-            // TV navigation demo
-            if (choices.length > 0 && focusRing) {
-                if (progress > 0.2) {
-                    focusRing.classList.add('visible');
-                }
-                choices.forEach((choice, index) => {
-                    if (progress > 0.25 + (index * 0.1)) {
-                        choice.classList.add('visible');
-                    }
-                });
-            }
+        element.classList.remove(className);
+        const before = targets.map(readScrubbedStyle);
+        element.classList.add(className);
+        const after = targets.map(readScrubbedStyle);
 
-            // Dashboard cards
-            cards.forEach((card, index) => {
-                const cardDelay = index * 0.15;
-                if (progress > 0.2 + cardDelay) {
-                    card.classList.add('visible');
-                }
+        element.classList.toggle(className, hadClass);
+        targets.forEach((target, index) => {
+            target.style.transition = transitions[index];
+        });
+
+        const keyframes = new Map();
+        targets.forEach((target, index) => {
+            const changed = scrubbedProperties.filter(property => before[index][property] !== after[index][property]);
+            if (!changed.length) return;
+            const from = {};
+            const to = {};
+            changed.forEach(property => {
+                from[property] = before[index][property];
+                to[property] = after[index][property];
             });
+            keyframes.set(target, { from, to });
+        });
+        return keyframes;
+    }
 
-            if (text && progress > 0.6) {
-                text.classList.add('visible');
+    function getPropertyValues(properties, end) {
+        const values = {};
+        const transforms = [];
+        properties.forEach(({ property, range }) => {
+            if (property.transform) {
+                transforms.push(property.transform(range[end]));
+            } else {
+                values[property.key] = range[end];
             }
+        });
+        if (transforms.length) values.transform = transforms.join(' ');
+        return values;
+    }
+
+    // Turn a step into paused animations - one per element it changes - that
+    // progress seeks; the track's own values win over what its class measured
+    function createAnimations(step) {
+        const keyframes = step.className ? measureClass(step.element, step.className) : new Map();
+        if (step.properties.length) {
+            const own = keyframes.get(step.element) || { from: {}, to: {} };
+            Object.assign(own.from, getPropertyValues(step.properties, 0));
+            Object.assign(own.to, getPropertyValues(step.properties, 1));
+            keyframes.set(step.element, own);
         }
 
-        // Scene 04 — Flow
-        if (sceneType === 'flow') {
-            const flowDevice = scene.querySelector('.flow-phone, .flow-tv, .flow-laptop');
-            const text = scene.querySelector('.scene-text');
-
-            if (flowDevice && progress > 0.2) {
-                flowDevice.classList.add('visible');
-
-                // Animate internal content
-                const balance = scene.querySelector('.balance-display');
-                const cards = scene.querySelectorAll('.mini-card');
-                const question = scene.querySelector('.question-display');
-                const choiceCards = scene.querySelectorAll('.choice-card');
-                const scoreBar = scene.querySelector('.score-bar');
-                const scoreProgress = scene.querySelector('.score-progress');
-                const websiteScroll = scene.querySelector('.website-scroll');
-
-                if (balance && progress > 0.3) {
-                    balance.classList.add('animate');
-                }
+        return Array.from(keyframes, ([target, { from, to }]) => {
+            // A CSS transition would outrank the animation and lag behind the scroll
+            target.style.transition = 'none';
+            const animation = target.animate([from, to], { duration: scrubLength, fill: 'forwards' });
+            animation.pause();
+            return animation;
+        });
+    }
 
-                if (cards.length > 0 && progress > 0.4) {
-                    cards.forEach(card => card.classList.add('animate'));
-                }
+    // Flatten a scene's tracks into one step per element, in timeline order
+    function compileScene(scene) {
+        const steps = [];
+        const ownTracks = Array.from(scene.querySelectorAll('[data-timeline-start]'));
 
-                if (question && progress > 0.3) {
-                    question.classList.add('animate');
-                }
+        (timelines[scene.dataset.scene] || []).forEach(track => {
+            const elements = Array.from(scene.querySelectorAll(track.selector))
+                .filter(element => !ownTracks.includes(element));
+            elements.forEach((element, index) => {
+                steps.push(createStep(element, track, index * toNumber(track.stagger, 0)));
+            });
+        });
+        ownTracks.forEach(element => steps.push(createStep(element, readElementTrack(element))));
 
-                if (choiceCards.length > 0 && progress > 0.4) {
-                    choiceCards.forEach(card => card.classList.add('animate'));
-                }
+        // Measure every step before any of them has changed the scene
+        if (canScrub) {
+            steps.forEach(step => {
+                step.animations = createAnimations(step);
+            });
+        }
 
-                if (scoreBar && progress > 0.5) {
-                    scoreBar.classList.add('animate');
-                }
+        return steps.sort((a, b) => a.start - b.start);
+    }
 
-                if (scoreProgress && progress > 0.5) {
-                    scoreProgress.classList.add('animate');
-                }
+    const sceneSteps = new Map();
 
-                if (websiteScroll && progress > 0.4) {
-                    websiteScroll.classList.add('animate');
-                }
-            }
+    function getSceneSteps(scene) {
+        if (!sceneSteps.has(scene)) sceneSteps.set(scene, compileScene(scene));
+        return sceneSteps.get(scene);
+    }
 
-            if (text && progress > 0.6) {
-                text.classList.add('visible');
+    // Without the Web Animations API the track's own values are written inline,
+    // and cleared again before the step starts
+    function applyInlineValues(step, t) {
+        const transforms = [];
+        let hasTransform = false;
+        step.properties.forEach(({ property, range }) => {
+            const value = range[0] + (range[1] - range[0]) * t;
+            if (property.transform) {
+                hasTransform = true;
+                if (t >= 0) transforms.push(property.transform(value));
+            } else {
+                step.element.style[property.key] = t >= 0 ? value : '';
             }
-        }
+        });
+        if (hasTransform) step.element.style.transform = transforms.join(' ');
+    }
 
-        // Scene 05 — Marketing
-        if (sceneType === 'marketing') {
-            const assets = scene.querySelectorAll('.marketing-asset');
-            const text = scene.querySelector('.scene-text');
-
-            assets.forEach((asset, index) => {
-                const assetDelay = index * 0.15;
-                if (progress > 0.2 + assetDelay) {
-                    asset.classList.add('visible');
-                }
+    function seekStep(step, t) {
+        step.animations.forEach(animation => {
+            animation.currentTime = t * scrubLength;
+        });
+    }
+
+    // Measured keyframes hold pixel values, so after the layout changes every
+    // compiled scene is measured again; steps that played once stay played
+    function rebuildScenes() {
+        sceneSteps.forEach((steps, scene) => {
+            steps.forEach(step => {
+                if (step.animations) step.animations.forEach(animation => animation.cancel());
             });
+            const rebuilt = compileScene(scene);
+            rebuilt.forEach((step, index) => {
+                step.played = steps[index].played;
+                if (step.played && step.animations) seekStep(step, 1);
+            });
+            sceneSteps.set(scene, rebuilt);
+        });
+    }
 
-            if (text && progress > 0.6) {
-                text.classList.add('visible');
-            }
-        }
+    // Before its start a step has no effect, then it eases to its end and holds;
+    // a step that plays once stays at its end after reaching it
+    function applyStep(step, progress) {
+        if (step.played) return;
 
-        // Scene 06 — Closing
-        if (sceneType === 'closing') {
-            const closingDevice = scene.querySelector('.closing-phone, .closing-tv, .closing-laptop');
-            const text = scene.querySelector('.scene-text');
+        const span = step.end - step.start;
+        const local = progress <= step.start ? -1 : span > 0 ? Math.min((progress - step.start) / span, 1) : 1;
+        const t = local < 0 ? -1 : step.ease(local);
 
-            if (closingDevice && progress > 0.2) {
-                closingDevice.classList.add('visible');
+        if (step.className) step.element.classList.toggle(step.className, local >= 0);
+        if (step.animations) {
+            seekStep(step, t);
+        } else if (step.properties.length) {
+            applyInlineValues(step, t);
+        }
 
-                // Slow settle effect
-                const settleProgress = Math.min((progress - 0.2) * 2, 1);
-                const scale = 1.1 - (settleProgress * 0.1);
-                closingDevice.style.transform = `scale(${scale})`;
-            }
+        if (step.once && local === 1) step.played = true;
+    }
 
-            if (text && progress > 0.5) {
-                text.classList.add('visible');
-            }
-        }
+    function animateScene(scene, progress) {
+        getSceneSteps(scene).forEach(step => applyStep(step, progress));
     }
 
+    // Only scenes on screen are animated on scroll
+    const activeScenes = new Set();
+
     function updateSceneAnimations() {
-        scenes.forEach(scene => {
+        activeScenes.forEach(scene => {
             const progress = getScrollProgress(scene);
             animateScene(scene, progress);
         });
@@ -216,9 +369,49 @@
         }
     }
 
+    if ('IntersectionObserver' in window) {
+        const sceneObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    activeScenes.add(entry.target);
+                } else if (activeScenes.delete(entry.target)) {
+                    // Leave the scene settled at whichever end it scrolled out by
+                    animateScene(entry.target, getScrollProgress(entry.target));
+                }
+            });
+            updateSceneAnimations();
+        });
+        scenes.forEach(scene => sceneObserver.observe(scene));
+    } else {
+        scenes.forEach(scene => activeScenes.add(scene));
+    }
+
+    function refreshLayout() {
+        measureScenes();
+        rebuildScenes();
+        updateSceneAnimations();
+    }
+
+    let resizeTimer = null;
+
+    function onResize() {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(refreshLayout, 150);
+    }
+
     // Initialize
+    measureScenes();
     window.addEventListener('scroll', onScroll, { passive: true });
-    window.addEventListener('resize', updateSceneAnimations);
+    window.addEventListener('resize', onResize);
+    // Images and fonts arriving late move the scenes; catalogue.js loads this file
+    // after the catalogue fetch, often once window load has already fired
+    if ('ResizeObserver' in window) {
+        new ResizeObserver(onResize).observe(document.body);
+    } else if (document.readyState === 'complete') {
+        refreshLayout();
+    } else {
+        window.addEventListener('load', refreshLayout);
+    }
 
     // Initial check
     updateSceneAnimations();
@@ -0,0 +1,441 @@
+/**
+ * Musa Studio — Ball Renderers
+ * Draw a BallPhysics engine either to a single canvas or to one div per ball
+ * Both listen to engine events only, so they can be swapped without touching physics
+ */
+
+(function() {
+    'use strict';
+
+    // =========================================================================
+    // Shared Visual State
+    // =========================================================================
+    const trailLength = 8;
+    const spawnDuration = 300;
+    const squashDuration = 120;
+    const removeDurations = {
+        offscreen: 300,
+        rest: 500,
+        absorbed: 250
+    };
+
+    function getSpeedState(ball, options) {
+        // Before the first step the variant decides the look
+        if (!ball.speed) {
+            return ball.variant === 'fast' ? 'fast' : ball.variant === 'slow' ? 'resting' : 'normal';
+        }
+        if (ball.speed > options.maxVelocity * 0.6) return 'fast';
+        if (ball.speed < options.stopVelocity * 2) return 'resting';
+        return 'normal';
+    }
+
+    // Balls spawned with their own radius are drawn relative to the default size
+    function getSizeScale(ball, options) {
+        return ball.radius ? ball.radius / options.ballRadius : 1;
+    }
+
+    // Mirrors the ballSpawn keyframes in styles.css
+    function getSpawnScale(age) {
+        const t = Math.min(age / spawnDuration, 1);
+        const stops = [[0, 0], [0.2, 1.4], [0.4, 1.5], [0.7, 1.2], [1, 1]];
+        for (let i = 1; i < stops.length; i++) {
+            if (t <= stops[i][0]) {
+                const [t0, s0] = stops[i - 1];
+                const [t1, s1] = stops[i];
+                return s0 + (s1 - s0) * ((t - t0) / (t1 - t0));
+            }
+        }
+        return 1;
+    }
+
+    // =========================================================================
+    // DOM Renderer - one .ball div per ball, styled by styles.css
+    // =========================================================================
+    function createDomRenderer(engine, { container }) {
+        const elements = new Map();
+        const unsubscribers = [];
+        let reducedMotion = false;
+
+        function setTransform(element, rotation, squashX = 1, squashY = 1) {
+            const scale = squashX !== 1 || squashY !== 1 ? ` scaleX(${squashX}) scaleY(${squashY})` : '';
+            element.style.transform = `translate(-50%, -50%)${scale} rotate(${rotation || 0}deg)`;
+        }
+
+        function removeElement(element, delay) {
+            setTimeout(() => {
+                if (element.parentNode) {
+                    element.parentNode.removeChild(element);
+                }
+            }, delay);
+        }
+
+        // Create a new ball element
+        unsubscribers.push(engine.on('spawn', ({ ball: ballObj, restored }) => {
+            const ball = document.createElement('div');
+            ball.className = 'ball active';
+            ball.setAttribute('aria-hidden', 'true');
+
+            // Balls carried over from another page are already in flight
+            if (restored) {
+                ball.style.animation = 'none';
+            }
+
+            // Add variety to ball appearance
+            if (ballObj.variant === 'fast') {
+                ball.classList.add('high-velocity');
+            } else if (ballObj.variant === 'slow') {
+                ball.classList.add('resting');
+            }
+
+            if (ballObj.radius) {
+                ball.style.width = ballObj.radius * 2 + 'px';
+                ball.style.height = ballObj.radius * 2 + 'px';
+            }
+
+            ball.style.left = ballObj.x + 'px';
+            ball.style.top = ballObj.y + 'px';
+            container.appendChild(ball);
+            elements.set(ballObj, ball);
+        }));
+
+        // Add impact flash effect to ball
+        unsubscribers.push(engine.on('impact', ({ ball: ballObj, duration }) => {
+            const element = elements.get(ballObj);
+            if (!element || reducedMotion) return;
+            element.classList.add('impact');
+            setTimeout(() => element.classList.remove('impact'), duration);
+        }));
+
+        // Squash on floor and obstacle-top bounces
+        unsubscribers.push(engine.on('squash', ({ ball: ballObj, force }) => {
+            const element = elements.get(ballObj);
+            if (!element || reducedMotion) return;
+            setTransform(element, ballObj.rotation, 1 + force * 0.5, 1 - force * 0.4);
+            setTimeout(() => setTransform(element, ballObj.rotation), squashDuration);
+        }));
+
+        unsubscribers.push(engine.on('remove', ({ ball: ballObj, reason }) => {
+            const element = elements.get(ballObj);
+            if (!element) return;
+            elements.delete(ballObj);
+
+            if (reason === 'offscreen' || reason === 'absorbed') {
+                element.classList.add('fade-out');
+                removeElement(element, removeDurations[reason]);
+            } else if (reason === 'rest') {
+                // Ball has been resting, fade out and delete
+                element.style.opacity = '0';
+                element.style.transition = 'opacity 0.5s ease';
+                removeElement(element, removeDurations.rest);
+            } else {
+                element.remove();
+            }
+        }));
+
+        unsubscribers.push(engine.on('step', ({ balls }) => {
+            balls.forEach((ballObj) => {
+                const element = elements.get(ballObj);
+                if (!element) return;
+
+                // High-velocity class drives the CSS trail effect
+                const state = getSpeedState(ballObj, engine.options);
+                element.classList.toggle('high-velocity', state === 'fast' && !reducedMotion);
+                element.classList.toggle('resting', state === 'resting');
+
+                element.style.left = ballObj.x + 'px';
+                element.style.top = ballObj.y + 'px';
+
+                // Apply rotation if not in squash animation
+                if (!element.style.transform.includes('scale')) {
+                    setTransform(element, ballObj.rotation);
+                }
+            });
+        }));
+
+        function destroy() {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            elements.forEach(element => element.remove());
+            elements.clear();
+        }
+
+        // Reduced motion keeps balls moving but drops the flash, squash and trail effects
+        function setReducedMotion(reduced) {
+            reducedMotion = !!reduced;
+        }
+
+        return { type: 'dom', setReducedMotion, destroy };
+    }
+
+    // =========================================================================
+    // Canvas Renderer - every ball drawn to one canvas, no per-ball layout
+    // =========================================================================
+    function supportsCanvas() {
+        const canvas = document.createElement('canvas');
+        return !!(canvas.getContext && canvas.getContext('2d'));
+    }
+
+    // Pre-render the glowing ball once so each frame is a single drawImage
+    function createBallSprite(radius, dpr) {
+        const glow = radius * 2.5;
+        const size = Math.ceil((radius + glow) * 2 * dpr);
+        const sprite = document.createElement('canvas');
+        sprite.width = size;
+        sprite.height = size;
+
+        const ctx = sprite.getContext('2d');
+        const center = size / 2;
+        ctx.scale(dpr, dpr);
+        const c = center / dpr;
+
+        // Outer energy glow
+        const halo = ctx.createRadialGradient(c, c, radius * 0.5, c, c, radius + glow);
+        halo.addColorStop(0, 'rgba(255, 255, 255, 0.5)');
+        halo.addColorStop(0.25, 'rgba(99, 102, 241, 0.35)');
+        halo.addColorStop(1, 'rgba(99, 102, 241, 0)');
+        ctx.fillStyle = halo;
+        ctx.beginPath();
+        ctx.arc(c, c, radius + glow, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Body, lit from the top left like the .ball gradient
+        const body = ctx.createRadialGradient(
+            c - radius * 0.4, c - radius * 0.4, 0,
+            c, c, radius
+        );
+        body.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        body.addColorStop(1, 'rgba(99, 102, 241, 0.9)');
+        ctx.fillStyle = body;
+        ctx.beginPath();
+        ctx.arc(c, c, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        return { canvas: sprite, size: size / dpr };
+    }
+
+    function createCanvasRenderer(engine, { container }) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'ball-canvas';
+        canvas.setAttribute('aria-hidden', 'true');
+        container.appendChild(canvas);
+
+        const ctx = canvas.getContext('2d');
+        const effects = new Map();
+        const dying = [];
+        const unsubscribers = [];
+        let sprite = null;
+        let spriteRadius = 0;
+        let dpr = 1;
+        let width = 0;
+        let height = 0;
+        let frame = null;
+        let reducedMotion = false;
+
+        // The canvas is fixed to the viewport, the space the engine simulates in,
+        // so the buffer follows the window rather than the document's height
+        function resize() {
+            dpr = Math.min(window.devicePixelRatio || 1, 2);
+            width = window.innerWidth;
+            height = window.innerHeight;
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+            sprite = null;
+            schedule();
+        }
+
+        function getSprite() {
+            const radius = engine.options.ballRadius;
+            if (!sprite || spriteRadius !== radius) {
+                sprite = createBallSprite(radius, dpr);
+                spriteRadius = radius;
+            }
+            return sprite;
+        }
+
+        function drawBall(ball, effect, now, opacity, removeScale) {
+            const { canvas: image, size } = getSprite();
+            const state = getSpeedState(ball, engine.options);
+            const spawnScale = reducedMotion ? 1 : getSpawnScale(now - effect.spawnTime);
+            let scale = spawnScale * removeScale * getSizeScale(ball, engine.options);
+            let alpha = opacity * (state === 'resting' ? 0.6 : 1);
+
+            // High-velocity trail, fading towards the oldest position
+            if (state === 'fast' && !reducedMotion) {
+                effect.trail.forEach((point, index) => {
+                    const t = (index + 1) / (effect.trail.length + 1);
+                    ctx.globalAlpha = alpha * t * 0.35;
+                    const trailSize = size * scale * (0.5 + t * 0.5);
+                    ctx.drawImage(image, point.x - trailSize / 2, point.y - trailSize / 2, trailSize, trailSize);
+                });
+            }
+
+            // Impact flash - brief swell and extra brightness
+            let flash = 0;
+            if (!reducedMotion && effect.impactUntil > now) {
+                flash = (effect.impactUntil - now) / effect.impactDuration;
+                scale *= 1 + flash * 0.5;
+            }
+
+            let squashX = 1;
+            let squashY = 1;
+            if (!reducedMotion && now - effect.squashTime < squashDuration) {
+                squashX = 1 + effect.squashForce * 0.5;
+                squashY = 1 - effect.squashForce * 0.4;
+            }
+
+            ctx.save();
+            ctx.translate(ball.x, ball.y);
+            ctx.scale(squashX * scale, squashY * scale);
+            ctx.rotate((ball.rotation || 0) * Math.PI / 180);
+            ctx.globalAlpha = alpha;
+            ctx.drawImage(image, -size / 2, -size / 2, size, size);
+
+            if (flash > 0 || state === 'fast') {
+                ctx.globalCompositeOperation = 'lighter';
+                ctx.globalAlpha = alpha * Math.max(flash, state === 'fast' ? 0.4 : 0);
+                ctx.drawImage(image, -size / 2, -size / 2, size, size);
+            }
+            ctx.restore();
+        }
+
+        function render(now) {
+            frame = null;
+
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+
+            engine.balls.forEach((ball) => {
+                const effect = effects.get(ball);
+                if (effect) drawBall(ball, effect, now, 1, 1);
+            });
+
+            // Removed balls fade out over their remove duration
+            for (let i = dying.length - 1; i >= 0; i--) {
+                const entry = dying[i];
+                const t = (now - entry.time) / entry.duration;
+                if (t >= 1) {
+                    dying.splice(i, 1);
+                    continue;
+                }
+                const removeScale = entry.reason === 'offscreen' ? 1 - t * 0.5
+                    : entry.reason === 'absorbed' ? 1 - t : 1;
+                drawBall(entry.ball, entry.effect, now, 1 - t, removeScale);
+            }
+
+            ctx.globalAlpha = 1;
+            ctx.globalCompositeOperation = 'source-over';
+
+            // A paused engine, or one whose balls are all asleep, gets one last frame,
+            // then the canvas holds still
+            if ((engine.running && hasAwakeBalls(engine.balls)) || dying.length > 0) {
+                schedule();
+            }
+        }
+
+        function hasAwakeBalls(balls) {
+            return balls.some(ball => ball.active && !ball.sleeping);
+        }
+
+        function schedule() {
+            if (frame === null) {
+                frame = requestAnimationFrame(render);
+            }
+        }
+
+        unsubscribers.push(engine.on('spawn', ({ ball, restored }) => {
+            effects.set(ball, {
+                // Balls carried over from another page skip the spawn pop
+                spawnTime: restored ? -Infinity : performance.now(),
+                impactUntil: 0,
+                impactDuration: 0,
+                squashTime: -Infinity,
+                squashForce: 0,
+                trail: []
+            });
+            schedule();
+        }));
+
+        unsubscribers.push(engine.on('impact', ({ ball, duration }) => {
+            const effect = effects.get(ball);
+            if (!effect) return;
+            effect.impactUntil = performance.now() + duration;
+            effect.impactDuration = duration;
+        }));
+
+        unsubscribers.push(engine.on('squash', ({ ball, force }) => {
+            const effect = effects.get(ball);
+            if (!effect) return;
+            effect.squashTime = performance.now();
+            effect.squashForce = force;
+        }));
+
+        unsubscribers.push(engine.on('remove', ({ ball, reason }) => {
+            const effect = effects.get(ball);
+            if (!effect) return;
+            effects.delete(ball);
+
+            // Cleared, overflowing and restored balls just vanish, but still need a redraw
+            const duration = removeDurations[reason];
+            if (duration) {
+                dying.push({ ball, effect, reason, duration, time: performance.now() });
+            }
+            schedule();
+        }));
+
+        // Sleepers waiting to be removed keep the engine stepping, but look the same every frame
+        let wasAwake = false;
+        unsubscribers.push(engine.on('step', ({ balls }) => {
+            const awake = hasAwakeBalls(balls);
+            if (awake || wasAwake) schedule();
+            wasAwake = awake;
+            balls.forEach((ball) => {
+                const effect = effects.get(ball);
+                if (!effect) return;
+
+                if (getSpeedState(ball, engine.options) === 'fast') {
+                    effect.trail.push({ x: ball.x, y: ball.y });
+                    if (effect.trail.length > trailLength) effect.trail.shift();
+                } else if (effect.trail.length) {
+                    effect.trail.shift();
+                }
+            });
+        }));
+
+        window.addEventListener('resize', resize);
+        resize();
+
+        function destroy() {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            window.removeEventListener('resize', resize);
+            if (frame !== null) cancelAnimationFrame(frame);
+            effects.clear();
+            dying.length = 0;
+            canvas.remove();
+        }
+
+        // Reduced motion keeps balls moving but drops the pop, flash, squash and trail effects
+        function setReducedMotion(reduced) {
+            reducedMotion = !!reduced;
+            schedule();
+        }
+
+        return { type: 'canvas', setReducedMotion, destroy };
+    }
+
+    // =========================================================================
+    // Renderer Selection
+    // =========================================================================
+    function createRenderer(engine, { container, type = 'canvas' }) {
+        if (type === 'canvas' && supportsCanvas()) {
+            return createCanvasRenderer(engine, { container });
+        }
+        return createDomRenderer(engine, { container });
+    }
+
+    window.BallRenderers = {
+        createRenderer,
+        createDomRenderer,
+        createCanvasRenderer,
+        supportsCanvas
+    };
+
+})();